@@ -13,7 +13,7 @@
  * <pre>
  *      npm install postgresjs
  * </pre>
- * <p>Note: the dictionaryjs, pg and suspend modules should be automatically installed as dependencies, but you may need to install these as well.</p>
+ * <p>Note: the dictionaryjs, pg, pg-copy-streams and suspend modules should be automatically installed as dependencies, but you may need to install these as well.</p>
  *
  * Copy the dbConfig.ex.json file into your project source folder, rename to dbConfig.json,
  * and update with your database connection information.
@@ -37,6 +37,21 @@
  * will be the suspend.resume function reference so you may resume execution
  * to move past the next yield command.</p>
  *
+ * <p>If you provide neither a callback nor a resume reference, the method returns
+ * a Promise instead, so it may be used with async/await. The Promise resolves with
+ * the same result the callback would receive and rejects with the error object.</p>
+ *
+ * <pre>
+ *   var db = new Postgresjs();
+ *
+ *   async function findEmail(username) {
+ *      await db.start();
+ *      let row = await db.selectRow("select email from users where username=? ;",[username]);
+ *      await db.end();
+ *      return row;
+ *   }
+ * </pre>
+ *
  * <h4>Example:</h4>
  * <pre>
  *   var suspend = require("suspend");
@@ -100,6 +115,8 @@ class Postgresjs {
         this.resume = resume;
         this.resume_next = null;
 
+        this.pool = null;
+        this.clientPool = null;
         this.start_stack = null;
         this.opened = null;
         this.client = null;
@@ -110,8 +127,18 @@ class Postgresjs {
         this.resultCount = 0;
         this.last_error = null;
 
+        this.transactionDepth = 0;
+        this.activeQuery = null;
+        this.cancelsPending = 0;
+        this.onCancelsDone = null;
+        this.queryTimeout = null;
+        this.types = null;
+
         this._throwErrors = true;
 
+        this.logger = null;
+        this.listener = null;
+
         this.setLocalConfig(config);
 
     }
@@ -121,7 +148,8 @@ class Postgresjs {
     //##########################################################################
 
     /**
-     * Disabling throwErrors will stop suspend from throwing errors on callbacks.
+     * Disabling throwErrors will stop suspend from throwing errors on callbacks
+     * and returned Promises from rejecting (check {@link Postgresjs#error} instead).
      * This is enabled by default.
      * @param {Boolean} value
      */
@@ -145,6 +173,158 @@ class Postgresjs {
         dbConfig.config = config;
     }
 
+    /**
+     * @description The {@link Pool} class, used to create connection pools with
+     * their own limits. See {@link Pool} for the config options.
+     * <h4>Example:</h4>
+     * <pre>
+     *     var pool = new Postgresjs.Pool(require("./dbConfig.json"));
+     *     //..
+     * </pre>
+     */
+    static get Pool() {
+        return Pool;
+    }
+
+    /**
+     * @description The {@link Migrator} class, used to apply the .sql migration files
+     * of a directory. See {@link Migrator} for the options.
+     * <h4>Example:</h4>
+     * <pre>
+     *     var migrator = new Postgresjs.Migrator({directory: __dirname + "/migrations"});
+     *     //..
+     * </pre>
+     */
+    static get Migrator() {
+        return Migrator;
+    }
+
+    /**
+     * @description The {@link DatabaseError} class, used for every error
+     * returned by this library.
+     * <h4>Example:</h4>
+     * <pre>
+     *     if (err instanceof Postgresjs.DatabaseError && err.isUniqueViolation()) {
+     *         //..
+     *     }
+     * </pre>
+     */
+    static get DatabaseError() {
+        return DatabaseError;
+    }
+
+    /**
+     * @description Returns the shared pool used by instances that rely on
+     * the global config. Useful for reading {@link Pool#stats}.
+     */
+    static get pool() {
+        return Pool.forConfig(dbConfig.config);
+    }
+
+    /**
+     * @description Sets the logger used by all instances without their own logger.
+     * A logger is an object with debug, info, warn and error methods, each
+     * called as (message, fields) where fields holds structured values such as
+     * sql, paras, duration, guid, rowCount and error.
+     * <p>Set to null to restore the default console logger, or to
+     * Postgresjs.silentLogger to disable all output.</p>
+     * <h4>Example:</h4>
+     * <pre>
+     *     Postgresjs.logger = {
+     *         debug: (message, fields) => myLogger.debug(fields, message),
+     *         info: (message, fields) => myLogger.info(fields, message),
+     *         warn: (message, fields) => myLogger.warn(fields, message),
+     *         error: (message, fields) => myLogger.error(fields, message)
+     *     };
+     * </pre>
+     */
+    static set logger(logger) {
+        logSettings.logger = logger || consoleLogger;
+    }
+
+    /**
+     * @description Sets how column values are parsed for all instances without their own
+     * types (see {@link Postgresjs#setTypes}) or a types config value.
+     * By default the parsers of pg are used.
+     * <h4>Example:</h4>
+     * <pre>
+     *     Postgresjs.types = {
+     *         bigint: "number",
+     *         dates: "utc",
+     *         parsers: {
+     *             "money": (value) => value
+     *         }
+     *     };
+     * </pre>
+     * @param {Object} types - set to null to use the parsers of pg. See properties:
+     * @param {String|Function} [types.bigint="string"] - bigint (int8) values, including count(*):
+     *          "string", "number" (an error is returned for values beyond Number.MAX_SAFE_INTEGER),
+     *          "bigint" (BigInt), or a function parsing the string value.
+     * @param {String|Function} [types.numeric="string"] - numeric values: "string", "number",
+     *          or a function parsing the string value (ie: value => new Decimal(value)).
+     * @param {String} [types.dates="local"] - date, timestamp and timestamptz values:
+     *          "local" (Date, date and timestamp read in the local time zone),
+     *          "utc" (Date, date and timestamp read as UTC), or "string".
+     * @param {String} [types.json="parse"] - json and jsonb values: "parse" or "string".
+     * @param {Object} [types.parsers=null] - Functions parsing the string value of a type,
+     *          by type OID or name (ie: {"citext": fn, 1700: fn} or "myschema.mytype").
+     *          <br>Domains use the parser of their base type, arrays the parser of their element
+     *          type, and enums are returned as strings.
+     */
+    static set types(types) {
+        validateTypes(types);
+        typeSettings.types = types;
+    }
+
+    /**
+     * @description Sets the lowest level sent to the logger for all instances
+     * without a logLevel in their config: "debug", "info", "warn", "error" or "silent".
+     * Defaults to "debug".
+     */
+    static set logLevel(level) {
+        if (!logLevels.hasOwnProperty(level))
+            throw new Error("Unknown log level: " + level);
+
+        logSettings.level = level;
+    }
+
+    /**
+     * @description The default logger, writing to console.log and console.error.
+     */
+    static get consoleLogger() {
+        return consoleLogger;
+    }
+
+    /**
+     * @description A logger that discards all output.
+     */
+    static get silentLogger() {
+        return silentLogger;
+    }
+
+    /**
+     * @description Marks a SQL expression to be used as is by the helpers, instead of
+     * being quoted as an identifier or bound as a value.
+     * Use ?? for a literal question-mark within the expression.
+     * <h4>Example:</h4>
+     * <pre>
+     *     yield db.updateHelper({
+     *          table: "users",
+     *          columns: {
+     *              "last_login": Postgresjs.raw("now()"),
+     *              "expires": Postgresjs.raw("now() + ?::interval", ["30 days"])
+     *          },
+     *          where: db.whereHelper({"username":"tester"})
+     *     });
+     * </pre>
+     * @param {String} sql - sql expression
+     * @param {Array} [paras=null] - array of values replacing "?" in the expression
+     * @returns {RawSql}
+     */
+    static raw(sql, paras) {
+        return new RawSql(sql, paras);
+    }
+
     /**
      *
      * @param {Object} config
@@ -167,6 +347,63 @@ class Postgresjs {
         this.resume = resume;
     }
 
+    /**
+     * Sets the time queries of this instance may run before they are canceled
+     * and fail with a {@link DatabaseError.QUERY_TIMEOUT} error.
+     * Overrides the queryTimeoutMillis config value, which defaults to 0 (no timeout).
+     * @param {int} ms - set to 0 to disable, or null to use the config value
+     */
+    setQueryTimeout(ms) {
+        this.queryTimeout = ms;
+    }
+
+    /**
+     * Sets how column values are parsed for just this instance,
+     * overriding the types config value and {@link Postgresjs.types}.
+     * @param {Object} types - See {@link Postgresjs.types}, set to null to use the global types.
+     */
+    setTypes(types) {
+        try {
+            validateTypes(types);
+        } catch (err) {
+            if (this._throwErrors)
+                throw err;
+            else
+                this.log("error", err.message, {error: err});
+
+            return;
+        }
+
+        this.types = types;
+    }
+
+    /**
+     * Sets the logger for just this instance. See {@link Postgresjs.logger}.
+     * The lowest level logged may be set with the logLevel config value.
+     * @param {Object} logger - set to null to use the global logger
+     */
+    setLogger(logger) {
+        this.logger = logger;
+    }
+
+    /**
+     * Internal method. You should not call this directly.
+     * ----------------
+     * Sends a message to the logger, adding this connection's guid to the fields.
+     * @ignore
+     */
+    log(level, message, fields) {
+        let config = this.config || dbConfig.config;
+
+        let minLevel = logSettings.level;
+        if (config!=null && config.logLevel!=null)
+            minLevel = config.logLevel;
+
+        fields = Object.assign({guid: this.guid}, fields);
+
+        writeLog(this.logger || logSettings.logger, minLevel, level, message, fields);
+    }
+
     //##########################################################################
     //  Connection Methods
     //##########################################################################
@@ -179,23 +416,38 @@ class Postgresjs {
         if (this.config)
             config = this.config;
 
-        return "postgres://"+config.username+":"+config.password+"@" +
-            config.host+"/"+config.database;
+        return getConnectionString(config);
+    }
+
+    /**
+     * Sets the pool this instance gets its connection from when started.
+     * By default the shared pool for this instance's config is used.
+     * @param {Pool} pool - set to null to use the shared pool
+     */
+    setPool(pool) {
+        this.pool = pool;
     }
 
     /**
-     * Opens a database connection. Must be called before using any other method.
+     * Opens a database connection by acquiring a client from the pool.
+     * Must be called before using any other method.
+     * <p>If the pool is exhausted, waits up to the acquireTimeoutMillis config
+     * value for a client to be released before returning an error.</p>
      * <p>Alias: open(cb)</p>
      * @param {Postgresjs~cbOnError} [cb=null] - Use callback or leave null to use suspend.resume.
-     *                                 <br> Returns cb()
+     *                                 <br> Returns cb(err,db) where db is this instance.
      */
     start(cb) {
+        if (this.usePromise(cb))
+            return this.promiseCall(this.start, []);
+
         var self = this;
         self.initHandleCallback();
 
         if (self.opened!=null) {
-            var err = new Error("Database connection already open.");
-            console.error(err);
+            var err = new DatabaseError("Database connection already open.",
+                {code: DatabaseError.ALREADY_CONNECTED});
+            self.log("error", err.message, {error: err});
             self.handleCallback(cb, err);
             return;
         }
@@ -205,9 +457,16 @@ class Postgresjs {
 
         try {
 
-            pg.connect(self.connectionString, function (err, client, done) {
+            //the shared pool is looked up on every start, the config may have changed
+            let pool = self.pool;
+            if (pool==null)
+                pool = Pool.forConfig(self.config || dbConfig.config);
+
+            pool.connectClient(function (err, client, done) {
                 if (err) {
-                    console.error("Problem getting database connection:\n" + self.start_stack + "\n", err);
+                    err = DatabaseError.from(err, {stack: self.start_stack});
+                    self.log("error", "Problem getting database connection:\n" + self.start_stack + "\n",
+                        {error: err});
                     self.handleCallback(cb,err);
                     self.start_stack = null;
                     return;
@@ -216,17 +475,21 @@ class Postgresjs {
                 self.guid = generateToken(6, dictTokens);
                 self.opened = getTimestamp();
                 self.client = client;
-                self.done = done;
+                self.fnDone = done;
+                self.clientPool = pool;
 
                 openConnections.set(self.guid, self);
+                pool.acquired.set(self.guid, self);
 
-                self.handleCallback(cb, null);
+                self.handleCallback(cb, null, self);
 
             });
 
 
-        } catch (err) {
-            console.error("Problem getting database connection:\n" + self.start_stack + "\n", err);
+        } catch (e) {
+            let err = DatabaseError.from(e, {stack: self.start_stack});
+            self.log("error", "Problem getting database connection:\n" + self.start_stack + "\n",
+                {error: err});
             self.handleCallback(cb, err);
             self.start_stack = null;
         }
@@ -237,47 +500,145 @@ class Postgresjs {
      * @ignore
      */
     open(cb) {
-        this.start(cb);
+        return this.start(cb);
     }
 
     /**
      * Closes the connection.
      * You must call this when you are done with this database connection.
      * If you do not end the connection the pool will be exhausted.
+     * <p>If a transaction was left open, it is rolled back before the
+     * connection is released.</p>
      * <p>Alias: close(cb)</p>
      * @param {Postgresjs~cbOnEmpty} [cb=null] - Use callback or leave null to use suspend.resume.
      *                            <br>Returns cb(err)
      */
     end(cb) {
+        if (this.usePromise(cb))
+            return this.promiseCall(this.end, []);
+
         var self = this;
         self.initHandleCallback();
 
-        if (self.opened!=null) {
-            var elapsed = getTimeDiff(self.opened,"ms");
-            console.log("Connection released after in use for " + elapsed + " ms.");
+        //a cancel still on its way would stop the rollback, or the query of the
+        //next user of the connection
+        if (self.cancelsPending > 0) {
+            self.onCancelsDone = close;
+            return;
+        }
+
+        close();
+
+        function close() {
+            if (self.transactionDepth > 0 && self.client!=null) {
+                self.log("warn", "Transaction left open, rolling back before releasing connection.\n" +
+                    self.start_stack, {});
+
+                self.execute("ROLLBACK;", null, function(err) {
+                    self.transactionDepth = 0;
+                    //a client that failed to roll back is removed from the pool
+                    release(err);
+                });
+                return;
+            }
+
+            release();
         }
 
-        if (self.fnDone!=null)
-            self.fnDone();
+        function release(err) {
+            if (self.opened!=null) {
+                var elapsed = getTimeDiff(self.opened,"ms");
+                self.log("debug", "Connection released after in use for " + elapsed + " ms.",
+                    {duration: elapsed});
+            }
+
+            if (self.fnDone!=null)
+                self.fnDone(err);
 
-        openConnections.remove(self.guid);
+            openConnections.remove(self.guid);
+            if (self.clientPool!=null)
+                self.clientPool.acquired.remove(self.guid);
 
-        self.client = null;
-        self.opened = null;
-        self.start_stack = null;
-        self.result = null;
-        self.fnDone = null;
+            self.client = null;
+            self.clientPool = null;
+            self.opened = null;
+            self.start_stack = null;
+            self.result = null;
+            self.fnDone = null;
+            self.transactionDepth = 0;
 
-        self.handleCallback(cb, null);
+            self.handleCallback(cb, null);
 
-        self.resume_next = null;
+            self.resume_next = null;
+        }
     }
 
     /**
      * @ignore
      */
     close(cb) {
-        this.end(cb);
+        return this.end(cb);
+    }
+
+    /**
+     * Cancels the query running on this instance's connection with pg_cancel_backend,
+     * sent on a separate connection. The query fails with a
+     * {@link DatabaseError.QUERY_CANCELED} error. If the cancel fails, the connection
+     * is closed instead. {@link Postgresjs#end} waits for the cancel to complete.
+     * <p>Start the query with a callback, since a yielded query waits for its result.</p>
+     * <h4>Example:</h4>
+     * <pre>
+     *     //..
+     *     db.query("select * from report_totals();", null, (err) => {
+     *          if (err && err.isCanceled()) {
+     *              //..
+     *          }
+     *     });
+     *     yield db.cancel();
+     *     //..
+     * </pre>
+     * @param {Postgresjs~cbOnCancel} [cb=null] - Use callback or leave null to use suspend.resume.
+     *              <br>Returns cb(err,canceled) where canceled is false if no query was running.
+     */
+    cancel(cb) {
+        if (this.usePromise(cb))
+            return this.promiseCall(this.cancel, []);
+
+        var self = this;
+        self.initHandleCallback();
+
+        if (self.activeQuery==null) {
+            self.handleCallback(cb, null, false);
+            return;
+        }
+
+        cancelQuery(self, self.activeQuery, "cancel", function(err, canceled) {
+            self.handleCallback(cb, err, canceled);
+        });
+    }
+
+    /**
+     * Reloads the types of the database, used to resolve type names, domains and enums
+     * when types are configured (see {@link Postgresjs.types}). The types are loaded
+     * on the first query, call this after creating new types.
+     * @param {Postgresjs~cbOnError} [cb=null] - Use callback or leave null to use suspend.resume.
+     *              <br>Returns cb(err)
+     */
+    loadTypes(cb) {
+        if (this.usePromise(cb))
+            return this.promiseCall(this.loadTypes, []);
+
+        var self = this;
+        self.initHandleCallback();
+
+        var key = getConnectionString(self.config || dbConfig.config);
+
+        self.execute(typeCatalogSql, null, {types: null}, function(err, rows) {
+            if (!err)
+                typeCatalogs.set(key, buildTypeCatalog(rows));
+
+            self.handleCallback(cb, err);
+        });
     }
 
     //##########################################################################
@@ -286,7 +647,12 @@ class Postgresjs {
 
     /**
      * Executes SQL statement on database.
-     * <p>Use question-marks (ie: ?) as unnamed parameters within the SQL statement.</p>
+     * <p>Use question-marks (ie: ?) as unnamed parameters within the SQL statement,
+     * or pass an object as paras to use named parameters (ie: :email or $email).
+     * A name used more than once binds a single parameter.</p>
+     * <p>Placeholders inside strings, quoted identifiers, comments and dollar-quoted
+     * bodies are left alone. Use ?? for a literal question-mark (ie: the jsonb ? operator).
+     * The number of placeholders must match the number of values given.</p>
      * <h4>Example:</h4>
      * <pre>
      *     //..
@@ -294,68 +660,279 @@ class Postgresjs {
      *     for (let row of db.rows) {
      *         console.log(row.username);
      *     }
+     *
+     *     yield db.query("select username from users where email=:email or backup_email=:email;",
+     *          {email:"test@test.com"});
      *     //..
      * </pre>
+     * <p>Set the name or prepare option to run the statement as a named prepared statement,
+     * which is parsed and planned once per connection and reused on later calls. See
+     * {@link Postgresjs#query} options and the prepareStatements and statementCacheSize config.</p>
      * @param {string} sql - sql statement to execute
-     * @param {Array} [paras=null] - array of parameters, replacing "?" in SQL
+     * @param {Array|Object} [paras=null] - array of parameters, replacing "?" in SQL,
+     *              or object of named parameters, replacing ":name" in SQL
+     * @param {Object} [options=null] - See properties:
+     * @param {String} [options.name=null] - Name of the prepared statement. A name must always
+     *              be used for the same statement. A number is added to the name on the server.
+     * @param {Boolean} [options.prepare=null] - true to prepare the statement with a name generated
+     *              from its SQL, false to never prepare it. Defaults to the prepareStatements config.
+     * @param {int} [options.timeout=null] - Time in ms the query may run before it is canceled and
+     *              fails with a {@link DatabaseError.QUERY_TIMEOUT} error, 0 for no timeout.
+     *              Defaults to {@link Postgresjs#setQueryTimeout} or the queryTimeoutMillis config.
+     * @param {AbortSignal} [options.signal=null] - Cancels the query when aborted, failing it with
+     *              a {@link DatabaseError.QUERY_CANCELED} error.
+     * @param {Object} [options.types] - How column values are parsed for just this query,
+     *              see {@link Postgresjs.types}. Set to null to use the parsers of pg.
      * @param {Postgresjs~cbOnQuery} [cb=null] - Use callback or leave null to use suspend.resume.
      *              <br>Returns cb(err,results) where result is an array of rows.
      */
-    query(sql, paras, cb) {
+    query(sql, paras, options, cb) {
+        if (typeof options === "function") {
+            cb = options;
+            options = null;
+        }
+
+        if (this.usePromise(cb))
+            return this.promiseCall(this.query, [sql, paras, options]);
+
         var self = this;
         self.initHandleCallback();
 
+        self.execute(sql, paras, getUserQueryOptions(options), function(err, rows) {
+            self.handleCallback(cb, err, rows);
+        });
+
+    }
+
+    /**
+     * Internal method. You should not call this directly.
+     * ----------------
+     * Executes SQL statement on database like {@link Postgresjs#query}, but always
+     * returns cb(err,rows,result) directly without using suspend.resume, so it may
+     * be used by methods that run several statements.
+     * @ignore
+     */
+    execute(sql, paras, options, cb) {
+        if (typeof options === "function") {
+            cb = options;
+            options = null;
+        }
+
+        var self = this;
+
         self.resultCount = 0;
 
         //Check if database connection is open.
         if (self.client==null) {
-            var err = new Error("Database Connection is not open.");
-            console.error(err);
-            self.handleCallback(cb,err);
+            var err = new DatabaseError("Database Connection is not open.",
+                {code: DatabaseError.NOT_CONNECTED});
+            self.log("error", err.message, {error: err});
+            cb(err);
             return;
         }
 
         //get the stack from the scope of method call
         var stack = new Error().stack;
 
-        //Replaces question marks within SQL statement with numbered parameters flags
-        sql = replaceQMarks(sql);
+        var bound;
+        if (isObject(paras))
+            //Replaces named parameters within SQL statement with numbered parameters flags
+            bound = bindNamedParas(sql, paras, false);
+        else
+            //Replaces question marks within SQL statement with numbered parameters flags
+            bound = replaceQMarks(sql, paras);
+
+        if (bound.error) {
+            let err = new DatabaseError(bound.error, {
+                code: DatabaseError.VALIDATION,
+                stack: stack,
+                sql: sql,
+                paras: paras
+            });
+            self.log("error", err.message, {sql: sql, paras: paras, error: err});
+            cb(err);
+            return;
+        }
+
+        sql = bound.sql;
+        paras = bound.paras;
+
+        var config = self.config || dbConfig.config;
+        var name = getStatementName(sql, options, config);
+        var client = self.client;
+        var retried = false;
+
+        var types = self.types || config.types || typeSettings.types;
+        if (options!=null && options.hasOwnProperty("types"))
+            types = options.types;
+        var typeParsers = null;
+        //overflows found by the number parsers while pg parses the rows
+        var overflows = [];
+
+        var timeout = self.queryTimeout!=null ? self.queryTimeout : (config.queryTimeoutMillis || 0);
+        if (options!=null && options.timeout!=null)
+            timeout = options.timeout;
+        var signal = options!=null ? options.signal : null;
+
+        if (signal!=null && signal.aborted) {
+            let err = new DatabaseError("Query was canceled.", {
+                code: DatabaseError.QUERY_CANCELED,
+                stack: stack,
+                sql: sql,
+                paras: paras
+            });
+            self.log("error", err.message, {sql: sql, paras: paras, error: err});
+            cb(err);
+            return;
+        }
+
+        //the running query, canceled by a timeout, the signal or cancel()
+        var active = {client: client, processId: client.processID, canceling: null, canceled: null};
+        var timer = null;
+
+        function onAbort() {
+            cancelQuery(self, active, "cancel", function() {});
+        }
+
+        self.activeQuery = active;
+        if (timeout > 0) {
+            timer = setTimeout(function() {
+                timer = null;
+                cancelQuery(self, active, "timeout", function() {});
+            }, timeout);
+        }
+        if (signal!=null)
+            signal.addEventListener("abort", onAbort);
 
         //Start timer to collect query execution time
         var querystart = timeStart();
 
-        //execute the query on the pg client
-        self.client.query(sql,paras,function(err,result) {
+        run();
+
+        function run() {
+            if (types!=null && typeParsers==null) {
+                getTypeParsers(self, client, types, function(parsers) {
+                    typeParsers = parsers;
+                    run();
+                });
+                return;
+            }
+
+            var query = {text: sql, types: typeParsers!=null ? watchTypeParsers(typeParsers, overflows) : undefined};
+
+            if (name==null) {
+                client.query(query, paras, done);
+                return;
+            }
+
+            //statements are cached per connection, a new connection prepares them again
+            if (client.postgresjsStatements==null)
+                client.postgresjsStatements = new StatementCache();
+            let statements = client.postgresjsStatements;
+            statements.max = config.statementCacheSize || 100;
+
+            let prepared = statements.use(name, sql);
+            query.name = prepared.name;
+            deallocate(client, prepared.stale, function() {
+                client.query(query, paras, done);
+            });
+        }
+
+        function done(err,result) {
+            //the plan of a cached statement is stale when its tables were altered
+            if (err && name!=null && err.code === "0A000" &&
+                err.message === "cached plan must not change result type") {
+                let stale = client.postgresjsStatements.remove(name);
+
+                //a failed statement aborts the transaction, so only retry outside of one
+                let retry = !retried && self.transactionDepth==0;
+                if (retry) {
+                    retried = true;
+                    self.log("warn", "Prepared statement " + name + " is stale, preparing it again.",
+                        {sql: sql, name: name});
+                }
+
+                deallocate(client, stale!=null ? [stale] : [], function() {
+                    if (retry)
+                        run();
+                    else
+                        finish(err, result);
+                });
+                return;
+            }
+
+            finish(err, result);
+        }
+
+        function finish(err,result) {
+            if (timer!=null)
+                clearTimeout(timer);
+            if (signal!=null)
+                signal.removeEventListener("abort", onAbort);
+            if (self.activeQuery===active)
+                self.activeQuery = null;
+
             //calculate execution time
             var elapsed = timeEnd(querystart);
 
+            //canceled by this library rather than by the server's statement_timeout,
+            //or stopped by closing the connection when the cancel failed
+            if (err && active.canceling!=null && (err.code === "57014" || active.canceled!=null)) {
+                let timedOut = active.canceling == "timeout";
+                err = new DatabaseError(timedOut ?
+                    "Query timed out after " + timeout + " ms." : "Query was canceled.", {
+                        code: timedOut ? DatabaseError.QUERY_TIMEOUT : DatabaseError.QUERY_CANCELED,
+                        stack: stack,
+                        sql: sql,
+                        paras: paras,
+                        cause: err
+                    });
+            }
+
+            //a query of several statements returns the result of each, the last one is used
+            if (!err && Array.isArray(result))
+                result = result[result.length-1];
+
+            if (!err && overflows.length > 0) {
+                err = new DatabaseError(overflows[0], {
+                    code: DatabaseError.TYPE_OVERFLOW,
+                    stack: stack,
+                    sql: sql,
+                    paras: paras
+                });
+            }
+
             //check if there is a problem with the result
             if (err || result==null || !result.hasOwnProperty("rows") ||
                 !result.hasOwnProperty("rowCount")) {
-                    var errObj = {
+                    var errObj = DatabaseError.from(err, {
                         stack: stack,
                         sql: sql,
                         paras: paras
-                    };
-
-                    if (err!=null && err.hasOwnProperty("message"))
-                        errObj.message = err.message;
-                    else
-                        errObj.message = "Unspecified Database Query Error."
+                    }, "Unspecified Database Query Error.");
 
-                    console.error("Database Error (" + elapsed + "s): ", errObj);
-                    self.handleCallback(cb,errObj);
+                    self.log("error", "Database Error (" + elapsed + "s): ", {
+                        sql: sql,
+                        paras: paras,
+                        duration: Number(elapsed),
+                        error: errObj
+                    });
+                    cb(errObj);
                     return;
             }
 
-            console.log("Query completed in " + elapsed +" seconds.");
+            self.log("debug", "Query completed in " + elapsed +" seconds.", {
+                sql: sql,
+                duration: Number(elapsed),
+                rowCount: result.rowCount
+            });
             self.result = result.rows;
             self.resultCount = result.rowCount;
-            self.handleCallback(cb,null,self.result);
+            cb(null, self.result, result);
 
             stack = null;
 
-        });
+        }
 
     }
 
@@ -374,120 +951,23 @@ class Postgresjs {
      *              "insert" or "update" depending on which action was used.
      */
     merge(sqlInsert,parasInsert,sqlUpdate,parasUpdate,cb) {
+        if (this.usePromise(cb))
+            return this.promiseCall(this.merge, [sqlInsert,parasInsert,sqlUpdate,parasUpdate]);
+
         var self = this;
         self.initHandleCallback();
 
-        self.resultCount = 0;
-
-        if (self.client==null) {
-            var err = new Error("Database connect is not open.");
-            console.error(err);
-            self.handleCallback(cb,err);
-            return;
-        }
-
-        var stack = new Error().stack;
-
-        sqlInsert = replaceQMarks(sqlInsert);
-        sqlUpdate = replaceQMarks(sqlUpdate);
+        var queryOptions = getUserQueryOptions(null);
 
-        var querystart = process.hrtime();
-
-        var loopCount = 0;
-        function doLoop() {
-            loopCount++;
-            if (loopCount > 10) {
-                var errObj = {
-                    message: "Database Merge exceeded iteration limit",
-                    stack: stack,
-                    sqlInsert: sqlInsert,
-                    sqlUpdate: sqlUpdate,
-                    parasInsert: parasInsert,
-                    parasUpdate: parasUpdate
-                };
-
-                var elapsed = timeEnd(querystart);
-
-                console.error("Database Error ("+ elapsed + " s): ", errObj);
-
-                self.handleCallback(cb,errObj);
-
-                return;
-            }
+        runMerge(self, sqlInsert, parasInsert, sqlUpdate, parasUpdate, queryOptions, queryOptions,
+            function(err, action) {
+                self.handleCallback(cb, err, action);
+            });
+    }
 
-            //attempt to update the record
-            self.client.query(sqlUpdate,parasUpdate,function(err,result) {
-                var elapsed = timeEnd(querystart);
-
-                if (err) {
-                    var errObj = {
-                        stack: stack,
-                        sql: sqlUpdate,
-                        paras: parasUpdate
-                    };
-                    if (err!=null && err.hasOwnProperty("message"))
-                        errObj.message = err.message;
-                    else
-                        errObj.message = "Unspecified Merge:Update error.";
-
-                    console.error("Database Error (" + elapsed + " s): ",errObj);
-                    self.handleCallback(cb,errObj);
-
-                    return;
-                }
-
-                //check if any rows were updated/affected
-                if (result!=null && result.hasOwnProperty("rowCount") &&
-                    result.rowCount > 0) {
-
-                    self.resultCount = result.rowCount;
-
-                    //Merge completed by successfully updating!
-                    console.log("Query completed in " + elapsed + " seconds.");
-
-                    self.handleCallback(cb,null,"update");
-
-                    stack = null;
-
-                    return;
-                }
-
-                self.client.query(sqlInsert,parasInsert,function(err,result) {
-                    var elapsed = timeEnd(querystart);
-                    if (err) {
-                        //error with inserting? let's try that one again
-                        doLoop();
-                        return;
-                    }
-
-                    if (result!=null && result.hasOwnProperty("rowCount") &&
-                        result.rowCount > 0) {
-
-                        console.log("Query completed in " + elapsed + " seconds.");
-
-                        self.resultCount = result.rowCount;
-
-                        self.handleCallback(cb,null,"insert");
-
-                        stack = null;
-
-                        return;
-                    }
-
-                    //we shouldn't get to this point, so... Let's loop again!
-                    doLoop();
-
-                });
-                
-            });
-
-        }
-        doLoop();
-    }
-
-    //##########################################################################
-    //  Select Methods
-    //##########################################################################
+    //##########################################################################
+    //  Select Methods
+    //##########################################################################
 
     /**
      * Executes SQL statement on database and returns the first row.
@@ -500,13 +980,22 @@ class Postgresjs {
      * </pre>
      * @param {string} sql - sql statement to execute
      * @param {Array} [paras=null] - array of parameters, replacing "?" in SQL
+     * @param {Object} [options=null] - Prepared statement options, see {@link Postgresjs#query}.
      * @param {Postgresjs~cbOnQuery} [cb=null] - Use callback or leave null to use suspend.resume.
      *              <br>Returns cb(err,results) where result is an array of rows.
      */
-    selectRow(sql, paras, cb) {
+    selectRow(sql, paras, options, cb) {
+        if (typeof options === "function") {
+            cb = options;
+            options = null;
+        }
+
+        if (this.usePromise(cb))
+            return this.promiseCall(this.selectRow, [sql, paras, options]);
+
         this.initHandleCallback();
 
-        this.query(sql, paras, (err,result) => {
+        this.query(sql, paras, options, (err,result) => {
             if (err || result==null || result.length==0) {
                 this.handleCallback(cb,err,result);
                 return;
@@ -527,11 +1016,12 @@ class Postgresjs {
      * </pre>
      * @param {string} sql - sql statement to execute
      * @param {Array} [paras=null] - array of parameters, replacing "?" in SQL
+     * @param {Object} [options=null] - Prepared statement options, see {@link Postgresjs#query}.
      * @param {Postgresjs~cbOnQuery} [cb=null] - Use callback or leave null to use suspend.resume.
      *              <br>Returns cb(err,results) where result is an array of rows.
      */
-    selectArray(sql, paras, cb) {
-        this.query(sql, paras, cb);
+    selectArray(sql, paras, options, cb) {
+        return this.query(sql, paras, options, cb);
     }
 
 
@@ -542,11 +1032,56 @@ class Postgresjs {
 
     /**
      * Begins a transaction.
+     * <p>Try using instead {@link Postgresjs#transaction}, which commits or
+     * rolls back for you.</p>
+     * <h4>Example:</h4>
+     * <pre>
+     *     //..
+     *     yield db.begin({
+     *         isolationLevel: "serializable",
+     *         settings: {statement_timeout: "5s"}
+     *     });
+     *     //..
+     * </pre>
+     * @param {Object} [options=null] - See properties:
+     * @param {String} [options.isolationLevel=null] - "read committed", "repeatable read"
+     *              or "serializable". Uses the server default if null.
+     * @param {Boolean} [options.readOnly=null] - true for READ ONLY, false for READ WRITE.
+     * @param {Boolean} [options.deferrable=null] - true for DEFERRABLE, false for NOT DEFERRABLE.
+     * @param {Object} [options.settings=null] - Settings applied with SET LOCAL for the
+     *              duration of the transaction (ie: {lock_timeout: "2s"}).
      * @param {Postgresjs~cbOnError} [cb=null] - Use callback or leave null to use suspend.resume.
      *              <br>Returns cb(err)
      */
-    begin(cb) {
-        this.query("START TRANSACTION;",null,cb);
+    begin(options, cb) {
+        if (typeof options === "function") {
+            cb = options;
+            options = null;
+        }
+
+        if (this.usePromise(cb))
+            return this.promiseCall(this.begin, [options]);
+
+        var parsed = parseTransactionOptions(options);
+        if (parsed.error) {
+            this.handleValidationError(cb, parsed.error);
+            return;
+        }
+
+        this.initHandleCallback();
+
+        this.execute("START TRANSACTION" + parsed.modes + ";", null, (err, rows) => {
+            if (err) {
+                this.handleCallback(cb, err);
+                return;
+            }
+
+            this.transactionDepth = 1;
+
+            applyTransactionSettings(this, parsed.settings, (err) => {
+                this.handleCallback(cb, err, rows);
+            });
+        });
     }
 
     /**
@@ -555,7 +1090,15 @@ class Postgresjs {
      *              <br>Returns cb(err)
      */
     commit(cb) {
-        this.query("COMMIT;",null,cb);
+        if (this.usePromise(cb))
+            return this.promiseCall(this.commit, []);
+
+        this.initHandleCallback();
+
+        this.execute("COMMIT;", null, (err, rows) => {
+            this.transactionDepth = 0;
+            this.handleCallback(cb, err, rows);
+        });
     }
 
     /**
@@ -564,1085 +1107,5278 @@ class Postgresjs {
      *              <br>Returns cb(err)
      */
     rollback(cb) {
-        this.query("ROLLBACK;",null,cb);
-    };
+        if (this.usePromise(cb))
+            return this.promiseCall(this.rollback, []);
 
-    //##########################################################################
-    //  Helper Methods
-    //##########################################################################
+        this.initHandleCallback();
+
+        this.execute("ROLLBACK;", null, (err, rows) => {
+            this.transactionDepth = 0;
+            this.handleCallback(cb, err, rows);
+        });
+    };
 
     /**
-     * Select Statement Helper.
+     * Runs the function inside a transaction. The transaction is committed when
+     * the function completes, or rolled back if it returns an error or throws.
+     * <p>Nested calls use savepoints, so only the work of the inner function
+     * is rolled back when it fails.</p>
+     * <p>The function may be:</p>
+     * - a generator function, run with suspend (use yield with db methods)<br>
+     * - a function returning a Promise (ie: an async function)<br>
+     * - a function accepting a callback as 2nd parameter, fn(db,done), calling done(err,result)
+     * <p>Options are the same as {@link Postgresjs#begin}, plus the retry option.
+     * Nested calls keep the isolation level, access mode and retry policy of the
+     * outer transaction.</p>
+     * <p>With the retry option, the whole transaction is run again when it fails with
+     * a serialization failure (40001) or deadlock (40P01), so the function must be
+     * safe to run more than once.</p>
      * <h4>Example:</h4>
-     * Select emails from users table that have a username that starts with the letter "h":
      * <pre>
      *     //..
-     *     yield db.selectHelper({
-     *          table:"users",
-     *          columns:["username","email"],
-     *          where: db.whereHelper({
-     *              "username -like":"h%"
-     *          }),
-     *          orderBy: db.orderByHelper({
-     *              "email":"ASC"
-     *          })
+     *     yield db.transaction(function*(db) {
+     *         yield db.query("update accounts set balance=balance-? where id=?;",[100,1]);
+     *         yield db.query("update accounts set balance=balance+? where id=?;",[100,2]);
      *     });
      *
-     *     for (let row of db.rows) {
-     *          console.log(row);
-     *          //Output example: {username:"Tester",email:"test@test.com"}
-     *     }
+     *     //or with async/await
+     *     await db.transaction(async (db) => {
+     *         await db.query("update accounts set balance=balance-? where id=?;",[100,1]);
+     *         await db.query("update accounts set balance=balance+? where id=?;",[100,2]);
+     *     });
      *
+     *     //with options
+     *     yield db.transaction({isolationLevel:"serializable", retry:{maxAttempts:5}}, function*(db) {
+     *         //..
+     *     });
      *     //..
      * </pre>
-     * @param {Object} options - Required. See properties:
-     * @param {String} options.table - Table name
-     * @param {Array} options.columns - Array of column names to select.
-     * @param {String} [options.where=null] - where clause sql statement segment (ie: name=? OR id=? )
-     *                      <br>You may also use {@link Postgresjs#whereHelper}
-     * @param {Array} [options.whereParas=null] - Array of values to replace parameters in where SQL
-     *                      <br>Not needed if you use whereHelper.
-     * @param {String} [options.orderBy=null] - order clause sql statement segment (ie: name ASC)
-     *                      <br>You may also use {@link Postgresjs#orderByHelper}
-     * @param {int} [options.limit=null] - Number of records to return, or null for infinite.
-     * @param {int} [options.start=0] - Start row index position.
-     * @param {Postgresjs~cbOnQuery} [cb=null] - Use callback or leave null to use suspend.resume.
-     *              <br>Returns cb(err,results) where result is an array of rows.
+     * @param {Object} [options=null] - See {@link Postgresjs#begin}. Additional properties:
+     * @param {Object|Boolean} [options.retry=null] - Retry policy, or true to use the defaults:
+     * @param {int} [options.retry.maxAttempts=3] - Number of times the transaction is run before giving up.
+     * @param {int} [options.retry.baseDelay=50] - Delay in ms before the first retry, doubled for each retry.
+     * @param {int} [options.retry.maxDelay=2000] - Maximum delay in ms between retries.
+     * @param {Array} [options.retry.retryOn=["40001","40P01"]] - Error codes that cause a retry.
+     * @param {Function} [options.retry.onRetry=null] - Called as onRetry(err,attempt,delay) before each retry.
+     * @param {Function} fn - Body of the transaction, called with this instance.
+     * @param {Postgresjs~cbOnTransaction} [cb=null] - Use callback or leave null to use suspend.resume.
+     *              <br>Returns cb(err,result) where result is the value returned by fn.
      */
-    selectHelper(options,cb) {
-
-        if (options==null) {
-            let err = new Error("SelectHelper: Options parameter is required.");
+    transaction(options, fn, cb) {
+        if (typeof options === "function") {
+            cb = fn;
+            fn = options;
+            options = null;
+        }
 
-            if (this._throwErrors)
-                throw err;
-            else
-                console.error(err);
+        if (this.usePromise(cb))
+            return this.promiseCall(this.transaction, [options, fn]);
 
+        var parsed = parseTransactionOptions(options);
+        if (parsed.error) {
+            this.handleValidationError(cb, parsed.error);
             return;
         }
 
-        var table = options.table || null;
-        var columns = options.columns || null;
-        var where = options.where || null;
-        var whereParas = options.whereParas || null;
-        var orderBy = options.orderBy || null;
-        var limit = options.limit || null;
-        var start = options.start || 0;
+        var self = this;
+        self.initHandleCallback();
 
-        if (table == null) {
-            let err = new Error("SelectHelper: Table option is required.");
+        //the body replaces resume_next with its own calls, keep ours for the end
+        var resumeNext = self.resume_next;
 
-            if (this._throwErrors)
-                throw err;
-            else
-                console.error(err);
+        var depth = self.transactionDepth;
+        var savepoint = "postgresjs_sp_" + depth;
 
-            return;
+        //only the outermost transaction can be run again
+        var retry = depth == 0 ? parsed.retry : null;
+        var attempt = 1;
+
+        var sqlBegin = "START TRANSACTION" + parsed.modes + ";";
+        var sqlCommit = "COMMIT;";
+        var sqlRollback = "ROLLBACK;";
+        if (depth > 0) {
+            sqlBegin = "SAVEPOINT " + savepoint + ";";
+            sqlCommit = "RELEASE SAVEPOINT " + savepoint + ";";
+            sqlRollback = "ROLLBACK TO SAVEPOINT " + savepoint + ";";
         }
 
-        //table,columns,where,whereParas,orderBy
+        function finish(err, result) {
+            if (err && retry!=null && attempt < retry.maxAttempts &&
+                retry.retryOn.indexOf(err.code) != -1) {
 
-        var sql = "SELECT ";
-        var finalParas = null;
+                //exponential backoff with jitter
+                let delay = Math.min(retry.maxDelay, retry.baseDelay * Math.pow(2, attempt - 1));
+                delay = Math.round(delay / 2 + Math.random() * delay / 2);
 
-        if (Array.isArray(columns))
-            sql += columns.join(",");
-        else if (columns!=null)
-            sql += columns;
-        else
-            sql += " * ";
+                self.log("warn", "Transaction failed (" + err.code + "), retrying in " + delay + " ms.", {
+                    attempt: attempt,
+                    delay: delay,
+                    error: err
+                });
 
-        sql += " FROM " + table;
-        if (where!=null) {
+                if (retry.onRetry!=null)
+                    retry.onRetry(err, attempt, delay);
 
-            if (isObject(where) &&
-                where.hasOwnProperty("sql") &&
-                where.hasOwnProperty("paras")
-            ) {
+                attempt++;
+                setTimeout(run, delay);
+                return;
+            }
 
-                sql += " WHERE " + where.sql;
-                finalParas = where.paras;
+            if (err && retry!=null)
+                err.attempts = attempt;
 
-            } else {
-                where = where.trim();
-                var lowerWhere =  where.toLowerCase();
-                if (lowerWhere.substr(0,5)=="where")
-                    where.substr(5);
+            self.resume_next = resumeNext;
+            self.handleCallback(cb, err, result);
+        }
 
-                sql += " WHERE " + where;
-                finalParas = whereParas;
-            }
+        function run() {
+            self.execute(sqlBegin, null, function(err) {
+                if (err) {
+                    finish(err);
+                    return;
+                }
 
-        }
-        if (orderBy!=null) {
-            orderBy = orderBy.trim();
-            var lowerOrderBy = orderBy.toLowerCase();
-            if (lowerOrderBy.substr(0,8)=="order by")
-                orderBy.substr(8);
+                self.transactionDepth = depth + 1;
 
-            sql += " ORDER BY " + orderBy;
-        }
+                applyTransactionSettings(self, parsed.settings, function(err) {
+                    if (err) {
+                        finishBody(err);
+                        return;
+                    }
 
-        if (limit!=null) {
-            sql += " LIMIT " + limit + " OFFSET " + start ;
+                    runTransactionBody(self, fn, finishBody);
+                });
+            });
         }
+        run();
 
-        sql += " ;";
+        function finishBody(err, result) {
+
+            if (err) {
+                self.execute(sqlRollback, null, function(rollbackErr) {
+                    if (depth == 0 || rollbackErr)
+                        self.transactionDepth = 0;
+                    else
+                        self.transactionDepth = depth;
+
+                    finish(err);
+                });
+                return;
+            }
 
-        if (finalParas==null || finalParas.length==0) finalParas = null;
+            self.execute(sqlCommit, null, function(commitErr, rows, commitResult) {
+                if (depth == 0 || commitErr)
+                    self.transactionDepth = 0;
+                else
+                    self.transactionDepth = depth;
 
-        this.query(sql,finalParas,cb);
+                //committing a failed transaction rolls it back instead
+                if (!commitErr && commitResult!=null && commitResult.command == "ROLLBACK") {
+                    commitErr = new DatabaseError("Transaction was rolled back because a statement failed.",
+                        {code: DatabaseError.TRANSACTION_ROLLED_BACK, sql: sqlCommit});
+                }
 
+                if (commitErr)
+                    finish(commitErr);
+                else
+                    finish(null, result);
+            });
+        }
     }
 
     /**
-     * Insert Statement Helper
+     * @description Returns true while a transaction is open on this connection.
+     */
+    get inTransaction() {
+        return this.transactionDepth > 0;
+    }
+
+    //##########################################################################
+    //  Copy Methods
+    //##########################################################################
+
+    /**
+     * Copies rows into a table with COPY FROM STDIN, which is much faster than
+     * inserts for large imports.
      * <h4>Example:</h4>
-     * Insert new user into users table.
      * <pre>
      *     //..
-     *     yield db.insertHelper({
-     *          table:"users",
-     *          columns:{
-     *              "username":"tester",
-     *              "email":"oldemail@test.com"
-     *          }
-     *     });
+     *     let count = yield db.copyFrom("users", ["username","email"],
+     *          fs.createReadStream("users.csv"), {format:"csv", header:true});
+     *     console.log(count + " rows copied");
      *     //..
      * </pre>
-     * @param {Object} options - Required. See properties:
-     * @param {String} options.table - Table name
-     * @param {Array} [options.columns=null] - Leave null to use table order of columns.
-     *                  <br>Array of column names to update, use with options.values property to specifiy values.
-     * @param {Object} [options.columns=null] - Or Object where keys are column names and values are values.
-     *                   Note: options.values property not needed.
-     * @param {Array} [options.values=null] - Array of values used with options.columns (Array) property.
-     * @param {Postgresjs~cbOnError} [cb=null] - Use callback or leave null to use suspend.resume.
-     *                  <br>Returns cb(err)
+     * @param {String} table - Table name, may include the schema (ie: public.users)
+     * @param {Array} [columns=null] - Array of column names in the order of the data,
+     *              or null for all columns of the table.
+     * @param {stream.Readable|AsyncIterable} source - Readable stream, or async iterable
+     *              of strings or Buffers, with the data to copy.
+     * @param {Object} [options=null] - See {@link Postgresjs#copyTo} for the options.
+     * @param {Postgresjs~cbOnCopy} [cb=null] - Use callback or leave null to use suspend.resume.
+     *              <br>Returns cb(err,rowCount) where rowCount is the number of rows copied.
      */
-    insertHelper(options,cb) {
-
-        if (options==null) {
+    copyFrom(table, columns, source, options, cb) {
+        if (typeof options === "function") {
+            cb = options;
+            options = null;
+        }
 
-            let err = new Error("InsertHelper: Options parameter required.");
-            if (this._throwErrors)
-                throw err;
-            else
-                console.error(err);
+        if (this.usePromise(cb))
+            return this.promiseCall(this.copyFrom, [table, columns, source, options]);
 
-            return;
-        }
+        var self = this;
 
-        var table = options.table || null;
-        var columns = options.columns || null;
-        var values = options.values || null;
+        var sql;
+        try {
+            if (source==null)
+                throw new DatabaseError("Source stream is required.",
+                    {code: DatabaseError.VALIDATION});
 
-        if (table == null) {
+            sql = "COPY " + quoteIdentifier(table);
+            if (columns!=null)
+                sql += " (" + quoteIdentifiers(columns).join(",") + ")";
 
-            let err = new Error("InsertHelper: Table option is required.");
-            if (this._throwErrors)
-                throw err;
-            else
-                console.error(err);
+            sql += " FROM STDIN" + buildCopyOptions(options);
+        } catch (err) {
+            if (source!=null && typeof source.destroy === "function")
+                source.destroy();
 
+            this.handleValidationError(cb, err, "CopyFrom: " + err.message);
             return;
         }
 
-        var sql = "INSERT INTO " + table;
+        //async iterables are read through a stream
+        if (typeof source.pipe !== "function")
+            source = stream.Readable.from(source);
 
+        self.initHandleCallback();
 
-        let tempColumns;
-        let tempValues;
-
-        if (columns != null) {
+        var copy = copyStreams.from(sql);
+        runCopy(self, sql, copy, [source, copy], function(err, rowCount) {
+            self.handleCallback(cb, err, rowCount);
+        });
+    }
 
-            tempColumns = null;
-            tempValues = null;
+    /**
+     * Copies the rows of a table or query to a stream with COPY TO STDOUT.
+     * <h4>Example:</h4>
+     * <pre>
+     *     //..
+     *     let count = yield db.copyTo("users", fs.createWriteStream("users.csv"),
+     *          {format:"csv", header:true});
+     *
+     *     yield db.copyTo("select username from users where banned", process.stdout, {query:true});
+     *     //..
+     * </pre>
+     * @param {String} sqlOrTable - Table name, a select statement with the query option, or a
+     *              statement from {@link Postgresjs#buildSelect}. COPY does not accept parameters,
+     *              so the statement can not have any.
+     * @param {stream.Writable} writable - Stream the data is written to.
+     * @param {Object} [options=null] - See properties:
+     * @param {Boolean} [options.query=false] - true if sqlOrTable is a select statement.
+     * @param {Array} [options.columns=null] - Array of column names to copy from the table.
+     * @param {String} [options.format="text"] - Either "text" or "csv".
+     * @param {Boolean} [options.header=false] - Add a header line with the column names (csv only).
+     * @param {String} [options.delimiter=null] - Column delimiter character,
+     *              defaults to a tab for text or a comma for csv.
+     * @param {String} [options.null=null] - String used for null values,
+     *              defaults to \N for text or an empty string for csv.
+     * @param {Postgresjs~cbOnCopy} [cb=null] - Use callback or leave null to use suspend.resume.
+     *              <br>Returns cb(err,rowCount) where rowCount is the number of rows copied.
+     */
+    copyTo(sqlOrTable, writable, options, cb) {
+        if (typeof options === "function") {
+            cb = options;
+            options = null;
+        }
 
-            if (isObject(columns)) {
+        if (this.usePromise(cb))
+            return this.promiseCall(this.copyTo, [sqlOrTable, writable, options]);
 
-                tempColumns = [];
-                tempValues = [];
+        var self = this;
 
-                for (let key in columns) {
-                    if (columns.hasOwnProperty(key)) {
-                        tempColumns.push(key);
-                        tempValues.push(columns[key]);
-                    }
-                }
+        var sql;
+        try {
+            if (writable==null)
+                throw new DatabaseError("Writable stream is required.",
+                    {code: DatabaseError.VALIDATION});
 
-            } else {
+            if (sqlOrTable instanceof RawSql) {
 
-                //split if columns is a string
-                if (!Array.isArray(columns))
-                    tempColumns = columns.split(",");
-                else
-                    tempColumns = columns;
+                if (sqlOrTable.paras.length > 0)
+                    throw new DatabaseError("Statement can not have parameters.",
+                        {code: DatabaseError.VALIDATION});
 
-                tempValues = values;
-            }
+                sql = "COPY (" + sqlOrTable.sql + ")";
 
-            if (tempValues==null || tempColumns==null ||
-                tempColumns.length != tempValues.length) {
+            } else if (options!=null && options.query) {
 
-                    let err = new Error("InsertHelper: Number of Columns and Values do not match.");
-                    if (this._throwErrors)
-                        throw err;
-                    else
-                        console.error(err);
+                //remove the trailing semicolon of the statement
+                sql = "COPY (" + String(sqlOrTable).trim().replace(/;$/, "") + ")";
 
-                    return;
-            }
-            sql += "(" + tempColumns.join(",") + ") VALUES ";
+            } else {
 
-        } else {
-            tempValues = values;
-        }
+                sql = "COPY " + quoteIdentifier(sqlOrTable);
+                if (options!=null && options.columns!=null)
+                    sql += " (" + quoteIdentifiers(options.columns).join(",") + ")";
 
-        sql += " (";
+            }
 
-        for (let i=0; i<tempValues.length; i++) {
-            sql += "?,";
+            sql += " TO STDOUT" + buildCopyOptions(options);
+        } catch (err) {
+            this.handleValidationError(cb, err, "CopyTo: " + err.message);
+            return;
         }
-        sql = removeLastChara(sql) + ");";
 
+        self.initHandleCallback();
 
-        this.query(sql,tempValues,cb);
-
+        var copy = copyStreams.to(sql);
+        runCopy(self, sql, copy, [copy, writable], function(err, rowCount) {
+            self.handleCallback(cb, err, rowCount);
+        });
     }
 
+    //##########################################################################
+    //  Cursor Methods
+    //##########################################################################
+
     /**
-     * Update Statement Helper
+     * Loops over the rows of a query with a server-side cursor, fetching the rows in
+     * batches instead of loading them all into memory. Non-blocking.
+     * <p>The cursor is opened in a transaction, which is started and committed for you
+     * if none is open on this connection.</p>
      * <h4>Example:</h4>
-     * Updates user's email by username.
      * <pre>
-     *     //..
-     *     yield db.updateHelper({
-     *          table: "users",
-     *          columns: {
-     *              "email":"newemail@test.com"
-     *          },
+     *   //..
+     *   let count = yield db.cursorForEach("select * from logs where created < ?;", [date],
+     *      {batchSize: 500}, (index,row,next) => {
+     *          console.log(index + ") ",row);
+     *          next();
+     *      });
+     *  //..
+     * </pre>
+     * @param {string} sql - sql statement to execute
+     * @param {Array|Object} [paras=null] - array of parameters, replacing "?" in SQL,
+     *              or object of named parameters, replacing ":name" in SQL
+     * @param {Object} [options=null] - See properties:
+     * @param {int} [options.batchSize=1000] - Number of rows fetched at a time.
+     * @param {Postgresjs~cbAsyncForEachIterator} cbIterator - Returns cb(index,item,cbNext).
+     *              <br>Must call cbNext() to continue, or return false to stop.
+     * @param {Postgresjs~cbOnCopy} [cbFinal=null] - Use callback or leave null to use suspend.resume.
+     *              <br>Returns cb(err,rowCount) where rowCount is the number of rows looped over.
+     */
+    cursorForEach(sql, paras, options, cbIterator, cbFinal) {
+        if (typeof options === "function") {
+            cbFinal = cbIterator;
+            cbIterator = options;
+            options = null;
+        }
+
+        if (this.usePromise(cbFinal))
+            return this.promiseCall(this.cursorForEach, [sql, paras, options, cbIterator]);
+
+        var self = this;
+        self.initHandleCallback();
+
+        //the iterator may replace resume_next with its own calls, keep ours for the end
+        var resumeNext = self.resume_next;
+
+        var cursor = new Cursor(self, sql, paras, options!=null ? options.batchSize : null);
+        var counter = 0;
+
+        function finish(err) {
+            cursor.close(err, function(err) {
+                self.resume_next = resumeNext;
+                self.handleCallback(cbFinal, err, counter);
+            });
+        }
+
+        function fetch() {
+            cursor.fetch(function(err, rows) {
+                if (err) {
+                    finish(err);
+                    return;
+                }
+
+                var i = 0;
+                var next = function() {
+                    process.nextTick(step);
+                };
+                var step = function() {
+                    if (i >= rows.length) {
+                        if (cursor.done)
+                            finish(null);
+                        else
+                            fetch();
+                        return;
+                    }
+
+                    if (cbIterator(counter++, rows[i++], next) == false)
+                        finish(null);
+                };
+                step();
+            });
+        }
+
+        cursor.open(function(err) {
+            if (err) {
+                finish(err);
+                return;
+            }
+            fetch();
+        });
+    }
+
+    /**
+     * Returns a Readable stream (object mode) of the rows of a query, fetched in batches
+     * with a server-side cursor as the stream is read. The stream may also be used as an
+     * async iterator. Stopping early (ie: break, or destroying the stream) closes the cursor.
+     * <p>The cursor is opened in a transaction, which is started and committed for you
+     * if none is open on this connection.</p>
+     * <h4>Example:</h4>
+     * <pre>
+     *   //..
+     *   for await (const row of db.stream("select * from logs where created < ?;", [date])) {
+     *       console.log(row);
+     *   }
+     *
+     *   db.stream("select * from logs;", null, {batchSize: 500})
+     *      .pipe(csvTransform)
+     *      .pipe(fs.createWriteStream("logs.csv"));
+     *  //..
+     * </pre>
+     * @param {string} sql - sql statement to execute
+     * @param {Array|Object} [paras=null] - array of parameters, replacing "?" in SQL,
+     *              or object of named parameters, replacing ":name" in SQL
+     * @param {Object} [options=null] - See properties:
+     * @param {int} [options.batchSize=1000] - Number of rows fetched at a time.
+     * @returns {stream.Readable}
+     */
+    stream(sql, paras, options) {
+        var cursor = new Cursor(this, sql, paras, options!=null ? options.batchSize : null);
+        var reading = false;
+
+        var readable = new stream.Readable({
+            objectMode: true,
+            highWaterMark: cursor.batchSize,
+
+            read: function() {
+                if (reading) return;
+                reading = true;
+
+                var push = function(err, rows) {
+                    reading = false;
+
+                    if (err) {
+                        readable.destroy(err);
+                        return;
+                    }
+
+                    if (!cursor.done) {
+                        for (let row of rows) {
+                            readable.push(row);
+                        }
+                        return;
+                    }
+
+                    //close the cursor before ending, so the connection can be reused
+                    cursor.close(null, function(err) {
+                        if (err) {
+                            readable.destroy(err);
+                            return;
+                        }
+
+                        for (let row of rows) {
+                            readable.push(row);
+                        }
+                        readable.push(null);
+                    });
+                };
+
+                if (cursor.opened) {
+                    cursor.fetch(push);
+                    return;
+                }
+
+                cursor.open(function(err) {
+                    if (err) {
+                        push(err);
+                        return;
+                    }
+                    cursor.fetch(push);
+                });
+            },
+
+            destroy: function(err, cb) {
+                //breaking out of a for await loop destroys with an AbortError, a normal stop
+                var stopped = err!=null && err.name === "AbortError";
+
+                cursor.close(stopped ? null : err, function(closeErr) {
+                    cb(err || closeErr);
+                });
+            }
+        });
+
+        return readable;
+    }
+
+    //##########################################################################
+    //  Notification Methods
+    //##########################################################################
+
+    /**
+     * Subscribes to notifications sent on a channel with NOTIFY or {@link Postgresjs#notify}.
+     * <p>Notifications are received on a dedicated connection of this instance, which is
+     * never returned to the pool, is not affected by end(), and is not closed by the auto closer.
+     * The connection is opened on the first call, reconnects automatically when lost and
+     * subscribes to its channels again. Use {@link Postgresjs#unlisten} to close it.</p>
+     * <h4>Example:</h4>
+     * <pre>
+     *     //..
+     *     yield db.listen("cache", (payload, notification) => {
+     *          cache.remove(payload.key);
+     *     }, {json: true});
+     *     //..
+     * </pre>
+     * @param {String} channel - Channel name.
+     * @param {Postgresjs~cbOnNotification} handler - Called with each notification.
+     * @param {Object} [options=null] - See properties:
+     * @param {Boolean} [options.json=false] - Parse payloads as JSON.
+     * @param {Postgresjs~cbOnError} [cb=null] - Use callback or leave null to use suspend.resume.
+     *              <br>Returns cb(err) once subscribed. On an error the handler is not kept.
+     */
+    listen(channel, handler, options, cb) {
+        if (typeof options === "function") {
+            cb = options;
+            options = null;
+        }
+
+        if (this.usePromise(cb))
+            return this.promiseCall(this.listen, [channel, handler, options]);
+
+        if (typeof channel !== "string" || channel.length==0 || typeof handler !== "function") {
+            let err = new DatabaseError("Listen: Channel and handler are required.",
+                {code: DatabaseError.VALIDATION});
+
+            this.handleValidationError(cb, err);
+            return;
+        }
+
+        var self = this;
+        self.initHandleCallback();
+
+        if (self.listener==null)
+            self.listener = new Listener(self);
+
+        self.listener.listen(channel, handler, options!=null && options.json, function(err) {
+            self.handleCallback(cb, err);
+        });
+    }
+
+    /**
+     * Unsubscribes all handlers of a channel. The dedicated connection is closed when
+     * no channels are left.
+     * @param {String} [channel=null] - Channel name, or null to unsubscribe from all channels.
+     * @param {Postgresjs~cbOnError} [cb=null] - Use callback or leave null to use suspend.resume.
+     *              <br>Returns cb(err)
+     */
+    unlisten(channel, cb) {
+        if (this.usePromise(cb))
+            return this.promiseCall(this.unlisten, [channel]);
+
+        var self = this;
+        self.initHandleCallback();
+
+        if (self.listener==null) {
+            self.handleCallback(cb, null);
+            return;
+        }
+
+        self.listener.unlisten(channel, function(err) {
+            if (self.listener!=null && self.listener.closed)
+                self.listener = null;
+
+            self.handleCallback(cb, err);
+        });
+    }
+
+    /**
+     * Sends a notification on a channel with pg_notify. Requires an open connection (see start).
+     * Sent within a transaction, it is delivered when the transaction commits.
+     * <h4>Example:</h4>
+     * <pre>
+     *     //..
+     *     yield db.notify("cache", {key: "user:5"});
+     *     //..
+     * </pre>
+     * @param {String} channel - Channel name.
+     * @param {String|Object} [payload=null] - Payload string, Objects are sent as JSON.
+     * @param {Postgresjs~cbOnError} [cb=null] - Use callback or leave null to use suspend.resume.
+     *              <br>Returns cb(err)
+     */
+    notify(channel, payload, cb) {
+        if (typeof payload === "function") {
+            cb = payload;
+            payload = null;
+        }
+
+        if (this.usePromise(cb))
+            return this.promiseCall(this.notify, [channel, payload]);
+
+        var self = this;
+        self.initHandleCallback();
+
+        if (payload!=null && typeof payload !== "string")
+            payload = JSON.stringify(payload);
+
+        self.execute("SELECT pg_notify(?, ?);", [channel, payload], function(err) {
+            self.handleCallback(cb, err);
+        });
+    }
+
+    //##########################################################################
+    //  Helper Methods
+    //##########################################################################
+
+    /**
+     * Marks a SQL expression to be used as is by the helpers.
+     * See {@link Postgresjs.raw}.
+     * @param {String} sql - sql expression
+     * @param {Array} [paras=null] - array of values replacing "?" in the expression
+     * @returns {RawSql}
+     */
+    raw(sql, paras) {
+        return new RawSql(sql, paras);
+    }
+
+    /**
+     * Select Statement Helper.
+     * <h4>Example:</h4>
+     * Select emails from users table that have a username that starts with the letter "h":
+     * <pre>
+     *     //..
+     *     yield db.selectHelper({
+     *          table:"users",
+     *          columns:["username","email"],
      *          where: db.whereHelper({
-     *              "username":"tester"
+     *              "username -like":"h%"
+     *          }),
+     *          orderBy: db.orderByHelper({
+     *              "email":"ASC"
      *          })
      *     });
+     *
+     *     for (let row of db.rows) {
+     *          console.log(row);
+     *          //Output example: {username:"Tester",email:"test@test.com"}
+     *     }
+     *
      *     //..
      * </pre>
      * @param {Object} options - Required. See properties:
-     * @param {String} options.table - Table name
-     * @param {Array} options.columns - Array of column names to update, use with options.values property to specifiy values.
-     * @param {Object} options.columns - Or Object where keys are column names and values are values.
-     *                   Note: options.values property not needed.
-     * @param {Array} [options.values=null] - Array of values used with options.columns (Array) property.
+     * @param {Object|Array} [options.with=null] - Common table expressions, as an Object of names
+     *                      and statements (ie: {recent: db.buildSelect({..})}), or an Array:
+     *                      [{name:"tree", columns:["id","parent"], query:Postgresjs.raw("..")}, ..]
+     *                      <br>See {@link Postgresjs#buildSelect}.
+     * @param {Boolean} [options.recursive=false] - Use WITH RECURSIVE for the with option.
+     * @param {String} options.table - Table name, may include the schema (ie: public.users)
+     *                      <br>Or a statement from {@link Postgresjs#buildSelect} to select from
+     *                      a derived table, use with the alias option.
+     * @param {String} [options.alias=null] - Alias of the table (ie: u), used as u.column in
+     *                      the other options.
+     * @param {Array} options.columns - Array of column names to select.
+     *                      <br>Or Objects with an aggregate: {count:"*", as:"total"}, {sum:"amount"},
+     *                      {count:"user_id", distinct:true} (count, sum, avg, min or max),
+     *                      or an alias: {column:"u.name", as:"username"}.
+     *                      <br>Use {@link Postgresjs.raw} for other expressions.
+     * @param {Boolean} [options.distinct=false] - Only return distinct rows (SELECT DISTINCT).
+     * @param {Array} [options.distinctOn=null] - Array of column names, only return the first
+     *                      row of each set of rows where these are equal (SELECT DISTINCT ON).
+     * @param {Array} [options.joins=null] - Array of joins: [{type:"left", table:"orders", alias:"o", on:{"o.user_id":"u.id"}}, ..]
+     *                      <br>type is "inner" (default), "left", "right" or "full".
+     *                      <br>on is an Object of columns to match, or a where clause sql statement
+     *                      segment with onParas, or {@link Postgresjs#whereHelper} output.
      * @param {String} [options.where=null] - where clause sql statement segment (ie: name=? OR id=? )
      *                      <br>You may also use {@link Postgresjs#whereHelper}
-     * @param {Array} [options.whereParas=null] - Array of values to replace parameters in where SQL
+     * @param {Array|Object} [options.whereParas=null] - Array of values to replace parameters in where SQL,
+     *                      or Object of named parameters (ie: name=:name OR id=:id )
      *                      <br>Not needed if you use whereHelper.
-     * @param {Postgresjs~cbOnError} [cb=null] - Use callback or leave null to use suspend.resume.
-     *                  <br>Returns cb(err)
+     * @param {Array} [options.groupBy=null] - Array of column names to group by.
+     * @param {String} [options.having=null] - having clause sql statement segment (ie: count(*) > ?)
+     *                      <br>You may also use {@link Postgresjs#whereHelper} (ie: {"count(*) >":5})
+     * @param {Array|Object} [options.havingParas=null] - Array of values to replace parameters in having SQL,
+     *                      or Object of named parameters.
+     *                      <br>Not needed if you use whereHelper.
+     * @param {String} [options.orderBy=null] - order clause sql statement segment (ie: name ASC)
+     *                      <br>You may also use {@link Postgresjs#orderByHelper}
+     * @param {int} [options.limit=null] - Number of records to return, or null for infinite.
+     * @param {int} [options.start=0] - Start row index position.
+     * @param {String} [options.name=null] - Run as a named prepared statement, see {@link Postgresjs#query}.
+     * @param {Boolean} [options.prepare=null] - Run as a prepared statement named from its SQL.
+     * @param {int} [options.timeout=null] - Time in ms the query may run, see {@link Postgresjs#query}.
+     * @param {AbortSignal} [options.signal=null] - Cancels the query when aborted.
+     * @param {Postgresjs~cbOnQuery} [cb=null] - Use callback or leave null to use suspend.resume.
+     *              <br>Returns cb(err,results) where result is an array of rows.
      */
-    updateHelper(options,cb) {
-        var self = this;
-
-        if (options==null) {
-            let err = new Error("UpdateHelper: Options parameter required.");
-            if (this._throwErrors)
-                throw err;
-            else
-                console.error(err);
+    selectHelper(options,cb) {
+        if (this.usePromise(cb))
+            return this.promiseCall(this.selectHelper, [options]);
 
+        var query;
+        try {
+            query = buildSelectSql(options);
+        } catch (err) {
+            this.handleValidationError(cb, err);
             return;
         }
 
+        var finalParas = query.paras;
+        if (finalParas.length==0) finalParas = null;
 
-        var table = options.table;
-        var columns = options.columns;
-        var values = options.values;
-        var where = options.where;
-        var whereParas = options.whereParas;
+        this.query(query.sql + " ;",finalParas,getQueryOptions(options),cb);
 
-        if (table == null) {
-            let err = new Error("UpdateHelper: Table option is required.");
+    }
+
+    /**
+     * Builds a select statement without running it, for use as a subquery value in
+     * {@link Postgresjs#whereHelper}, as a derived table in the table option, or as
+     * a common table expression in the with option of {@link Postgresjs#selectHelper}.
+     * Parameters are renumbered when the statements are combined.
+     * <h4>Example:</h4>
+     * <pre>
+     *     //..
+     *     yield db.selectHelper({
+     *          with: {
+     *              recent: db.buildSelect({
+     *                  table:"orders",
+     *                  columns:["user_id"],
+     *                  where: db.whereHelper({"created >":lastWeek})
+     *              })
+     *          },
+     *          table:"users",
+     *          columns:["username"],
+     *          where: db.whereHelper({
+     *              "id -in": db.buildSelect({table:"recent", columns:["user_id"]})
+     *          })
+     *     });
+     *     //..
+     * </pre>
+     * @param {Object} options - Required. See {@link Postgresjs#selectHelper}.
+     * @returns {RawSql} the select statement and its parameters.
+     */
+    buildSelect(options) {
+        try {
+            return buildSelectSql(options);
+        } catch (err) {
             if (this._throwErrors)
                 throw err;
             else
-                console.error(err);
+                this.log("error", err.message, {error: err});
 
             return;
         }
+    }
 
+    /**
+     * Keyset Pagination Helper
+     * <p>Pages through rows in the order of the orderBy columns, continuing after the sort
+     * values of the last row returned instead of skipping rows with OFFSET. Pages stay fast
+     * on large tables and no rows are skipped or repeated when rows change between pages.</p>
+     * <p>The orderBy columns should be unique together (ie: end with the primary key) and may not
+     * be null. The cursors hold the sort values as text, as the database writes them, so values
+     * such as timestamps with microseconds are compared exactly.</p>
+     * <h4>Example:</h4>
+     * <pre>
+     *     //..
+     *     let page = yield db.paginateHelper({
+     *          table:"posts",
+     *          columns:["id","title","created"],
+     *          where: db.whereHelper({"author_id":5}),
+     *          orderBy:[["created","DESC"],["id","DESC"]],
+     *          limit:20,
+     *          cursor: req.query.cursor
+     *     });
+     *
+     *     //Output example: {rows:[..], nextCursor:"eyJk..", prevCursor:null, hasMore:true}
+     *     //..
+     * </pre>
+     * @param {Object} options - Required. Same as {@link Postgresjs#selectHelper}, except:
+     * @param {Array} options.orderBy - Array of column names to sort by, like the columns of
+     *                      {@link Postgresjs#orderByHelper}: ["id"], [["created","DESC"], ..]
+     *                      or [{name:"created", sort:"DESC"}, ..]. Sort is "ASC" or "DESC".
+     * @param {String} [options.defaultSort="ASC"] - Used if sort is not specified.
+     * @param {int} [options.limit=20] - Number of rows per page.
+     * @param {String} [options.cursor=null] - nextCursor or prevCursor of the previous page,
+     *                      or null for the first page.
+     * @param {Boolean} [options.total=false] - Also count the rows matching the where option.
+     * @param {Postgresjs~cbOnPage} [cb=null] - Use callback or leave null to use suspend.resume.
+     *              <br>Returns cb(err,page) where page is {rows, nextCursor, prevCursor, hasMore}
+     *              and total if requested. hasMore is true if there are more rows in the direction
+     *              of the cursor.
+     */
+    paginateHelper(options,cb) {
+        if (this.usePromise(cb))
+            return this.promiseCall(this.paginateHelper, [options]);
 
-        var sql = "UPDATE " + table + " SET ";
-        var finalParas = null;
-
-        let tempColumns;
-        let tempValues;
+        var self = this;
+        var query;
+        var countQuery = null;
+        var order;
+        var backward = false;
+        var limit;
 
-        if (isObject(columns)) {
+        try {
+            if (options==null || options.orderBy==null)
+                throw new DatabaseError("PaginateHelper: OrderBy option is required.",
+                    {code: DatabaseError.VALIDATION});
+
+            order = buildKeysetOrder(options.orderBy, options.defaultSort || "ASC");
+
+            limit = options.limit || 20;
+            if (!Number.isInteger(limit) || limit < 1)
+                throw new DatabaseError("PaginateHelper: Invalid limit: " + JSON.stringify(limit),
+                    {code: DatabaseError.VALIDATION});
+
+            let where = null;
+            if (options.where!=null) {
+                where = buildWhere(options.where, options.whereParas);
+                if (where.error)
+                    throw where.error;
+            }
 
-            tempColumns = [];
-            tempValues = [];
+            let pageWhere = where;
+            if (options.cursor!=null) {
+                let cursor = decodeCursor(options.cursor, order.length);
+                backward = cursor.backward;
 
-            for (let key in columns) {
-                if (columns.hasOwnProperty(key)) {
-                    tempColumns.push(key);
-                    tempValues.push(columns[key]);
+                let keyset = buildKeysetWhere(order, cursor.values, backward);
+                if (where!=null) {
+                    pageWhere = {
+                        sql: "(" + where.sql + ") AND " + keyset.sql,
+                        paras: where.paras.concat(keyset.paras)
+                    };
+                } else {
+                    pageWhere = keyset;
                 }
             }
 
-        } else {
-
-            //split if columns is a string
+            //the sort values are also selected as text for the cursors
+            let columns = options.columns!=null ? options.columns : ["*"];
             if (!Array.isArray(columns))
-                tempColumns = columns.split(",");
-            else
-                tempColumns = columns;
+                columns = String(columns).split(",");
+
+            columns = columns.concat(order.map(function(column, i) {
+                return {column: new RawSql(column.sql + "::text", []), as: "postgresjs_key" + i};
+            }));
+
+            //one more row than the limit tells if there is another page
+            query = buildSelectSql(Object.assign({}, options, {
+                columns: columns,
+                where: pageWhere,
+                whereParas: null,
+                orderBy: order.map(function(column) {
+                    return column.sql + ((column.desc != backward) ? " DESC" : " ASC");
+                }).join(","),
+                limit: limit + 1,
+                start: 0
+            }));
+
+            if (options.total) {
+                countQuery = buildSelectSql({
+                    table: buildSelectSql(Object.assign({}, options, {
+                        where: where,
+                        whereParas: null,
+                        orderBy: null,
+                        limit: null
+                    })),
+                    alias: "postgresjs_page",
+                    columns: [{count: "*", as: "total"}]
+                });
+            }
+        } catch (err) {
+            this.handleValidationError(cb, err);
+            return;
+        }
+
+        self.initHandleCallback();
+
+        var queryOptions = getUserQueryOptions(getQueryOptions(options));
+
+        self.execute(query.sql + " ;", query.paras, queryOptions, function(err, rows) {
+            if (err) {
+                self.handleCallback(cb, err);
+                return;
+            }
+
+            var keys = rows.map(function(row) {
+                var values = order.map(function(column, i) {
+                    return row["postgresjs_key" + i];
+                });
+
+                //only keep the selected columns in the page
+                for (let i=0; i<order.length; i++) {
+                    delete row["postgresjs_key" + i];
+                }
+                return values;
+            });
+
+            rows = rows.slice();
+            var hasMore = rows.length > limit;
+            if (hasMore) {
+                rows.pop();
+                keys.pop();
+            }
+
+            //rows of a previous page were fetched in reverse order
+            if (backward) {
+                rows.reverse();
+                keys.reverse();
+            }
+
+            var page = {
+                rows: rows,
+                nextCursor: null,
+                prevCursor: null,
+                hasMore: hasMore
+            };
+
+            if (rows.length > 0) {
+                //there are rows after this page if it was reached going backward
+                if (backward || hasMore)
+                    page.nextCursor = encodeCursor(keys[keys.length-1], false);
+
+                if (backward ? hasMore : options.cursor!=null)
+                    page.prevCursor = encodeCursor(keys[0], true);
+            }
+
+            if (countQuery==null) {
+                done(page);
+                return;
+            }
+
+            self.execute(countQuery.sql + " ;", countQuery.paras, queryOptions, function(err, rows) {
+                if (err) {
+                    self.handleCallback(cb, err);
+                    return;
+                }
+
+                page.total = Number(rows[0].total);
+                done(page);
+            });
+        });
+
+        function done(page) {
+            self.result = page.rows;
+            self.resultCount = page.rows.length;
+            self.handleCallback(cb, null, page);
+        }
+    }
+
+    /**
+     * Insert Statement Helper
+     * <h4>Example:</h4>
+     * Insert new user into users table.
+     * <pre>
+     *     //..
+     *     yield db.insertHelper({
+     *          table:"users",
+     *          columns:{
+     *              "username":"tester",
+     *              "email":"oldemail@test.com"
+     *          }
+     *     });
+     *
+     *     let user = yield db.insertHelper({
+     *          table:"users",
+     *          columns:{"username":"tester2"},
+     *          returning:["id"],
+     *          single:true
+     *     });
+     *     //user.id is the generated id
+     *     //..
+     * </pre>
+     * @param {Object} options - Required. See properties:
+     * @param {String} options.table - Table name, may include the schema (ie: public.users)
+     * @param {Array} [options.columns=null] - Leave null to use table order of columns.
+     *                  <br>Array of column names to update, use with options.values property to specifiy values.
+     * @param {Object} [options.columns=null] - Or Object where keys are column names and values are values.
+     *                   Note: options.values property not needed.
+     * @param {Array} [options.values=null] - Array of values used with options.columns (Array) property.
+     * @param {Array} [options.returning=null] - Array of column names to return from the
+     *                  affected rows, or "*" for all columns (ie: ["id"]).
+     * @param {Boolean} [options.single=false] - Returns the first row instead of an array, like selectRow.
+     * @param {String} [options.name=null] - Run as a named prepared statement, see {@link Postgresjs#query}.
+     * @param {Boolean} [options.prepare=null] - Run as a prepared statement named from its SQL.
+     * @param {int} [options.timeout=null] - Time in ms the query may run, see {@link Postgresjs#query}.
+     * @param {AbortSignal} [options.signal=null] - Cancels the query when aborted.
+     * @param {Postgresjs~cbOnQuery} [cb=null] - Use callback or leave null to use suspend.resume.
+     *                  <br>Returns cb(err,results) where result is an array of the returned rows.
+     */
+    insertHelper(options,cb) {
+        if (this.usePromise(cb))
+            return this.promiseCall(this.insertHelper, [options]);
+
+
+        if (options==null) {
+
+            let err = new DatabaseError("InsertHelper: Options parameter required.",
+                {code: DatabaseError.VALIDATION});
+            this.handleValidationError(cb, err);
+            return;
+        }
+
+        var table = options.table || null;
+        var columns = options.columns || null;
+        var values = options.values || null;
+        var returning = options.returning || null;
+        var single = options.single || false;
+
+        if (table == null) {
+
+            let err = new DatabaseError("InsertHelper: Table option is required.",
+                {code: DatabaseError.VALIDATION});
+            this.handleValidationError(cb, err);
+            return;
+        }
+
+        var sql = "INSERT INTO ";
+        var finalParas = [];
+
+
+        let tempColumns;
+        let tempValues;
+
+        if (columns != null) {
+
+            tempColumns = null;
+            tempValues = null;
+
+            if (isObject(columns)) {
+
+                tempColumns = [];
+                tempValues = [];
+
+                for (let key in columns) {
+                    if (columns.hasOwnProperty(key)) {
+                        tempColumns.push(key);
+                        tempValues.push(columns[key]);
+                    }
+                }
+
+            } else {
+
+                //split if columns is a string
+                if (!Array.isArray(columns))
+                    tempColumns = columns.split(",");
+                else
+                    tempColumns = columns;
+
+                tempValues = values;
+            }
+
+            if (tempValues==null || tempColumns==null ||
+                tempColumns.length != tempValues.length) {
+
+                    let err = new DatabaseError("InsertHelper: Number of Columns and Values do not match.",
+                        {code: DatabaseError.VALIDATION});
+                    this.handleValidationError(cb, err);
+                    return;
+            }
+
+        } else {
+            tempValues = values;
+        }
+
+        try {
+            sql += quoteIdentifier(table, finalParas);
+            if (tempColumns!=null)
+                sql += "(" + quoteIdentifiers(tempColumns).join(",") + ") VALUES ";
+        } catch (err) {
+            this.handleValidationError(cb, err, "InsertHelper: " + err.message);
+            return;
+        }
+
+        sql += " (";
+
+        for (let value of tempValues) {
+            sql += bindValue(value, finalParas) + ",";
+        }
+        sql = removeLastChara(sql) + ")";
+
+        try {
+            sql += buildReturning(returning, finalParas);
+        } catch (err) {
+            this.handleValidationError(cb, err, "InsertHelper: " + err.message);
+            return;
+        }
+
+        sql += " ;";
+
+        (single ? this.selectRow : this.query).call(this,sql,finalParas,
+            getQueryOptions(options),cb);
+
+    }
+
+    /**
+     * Bulk Insert Statement Helper
+     * <p>Inserts many rows with multi-row INSERT statements (ie: VALUES (..),(..)), split
+     * into chunks that stay under the limit of 65535 parameters per statement.
+     * Columns missing from a row use the column's default value.</p>
+     * <h4>Example:</h4>
+     * Imports users, reporting progress after each chunk.
+     * <pre>
+     *     //..
+     *     yield db.bulkInsertHelper({
+     *          table:"users",
+     *          rows:[
+     *              {"username":"tester","email":"test@test.com"},
+     *              {"username":"tester2"}
+     *          ],
+     *          transaction:true,
+     *          onProgress:(inserted,total) => console.log(inserted + " / " + total)
+     *     });
+     *     //..
+     * </pre>
+     * @param {Object} options - Required. See properties:
+     * @param {String} options.table - Table name, may include the schema (ie: public.users)
+     * @param {Array} options.rows - Array of Objects where keys are column names and values are values.
+     * @param {Array} [options.columns=null] - Array of column names to insert.
+     *                  <br>Defaults to every key found in the rows, in the order first seen.
+     * @param {int} [options.chunkSize=null] - Maximum number of rows per statement.
+     * @param {Boolean|Object} [options.transaction=false] - Insert all chunks in one transaction,
+     *                  or an Object of options for {@link Postgresjs#transaction}.
+     * @param {Function} [options.onProgress=null] - Called as (inserted,total) after each chunk.
+     * @param {Array} [options.returning=null] - Array of column names to return from the
+     *                  inserted rows, or "*" for all columns (ie: ["id"]).
+     * @param {String} [options.name=null] - Run each chunk as a named prepared statement,
+     *                  see {@link Postgresjs#query}.
+     * @param {Boolean} [options.prepare=null] - Run each chunk as a prepared statement named from its SQL.
+     * @param {int} [options.timeout=null] - Time in ms each chunk may run, see {@link Postgresjs#query}.
+     * @param {AbortSignal} [options.signal=null] - Cancels the running chunk when aborted.
+     * @param {Postgresjs~cbOnQuery} [cb=null] - Use callback or leave null to use suspend.resume.
+     *                  <br>Returns cb(err,results) where result is an array of the returned rows.
+     *                  <br>{@link Postgresjs#rowCount} is the number of inserted rows.
+     */
+    bulkInsertHelper(options,cb) {
+        if (this.usePromise(cb))
+            return this.promiseCall(this.bulkInsertHelper, [options]);
+
+        var self = this;
+
+        if (options==null) {
+            let err = new DatabaseError("BulkInsertHelper: Options parameter required.",
+                {code: DatabaseError.VALIDATION});
+            this.handleValidationError(cb, err);
+            return;
+        }
+
+        var table = options.table || null;
+        var rows = options.rows || null;
+        var columns = options.columns || null;
+        var chunkSize = options.chunkSize || null;
+        var transaction = options.transaction || false;
+        var onProgress = options.onProgress || null;
+        var returning = options.returning || null;
+
+        if (table == null) {
+            let err = new DatabaseError("BulkInsertHelper: Table option is required.",
+                {code: DatabaseError.VALIDATION});
+            this.handleValidationError(cb, err);
+            return;
+        }
+
+        if (!Array.isArray(rows) || !rows.every(isObject)) {
+            let err = new DatabaseError("BulkInsertHelper: Rows option must be an array of objects.",
+                {code: DatabaseError.VALIDATION});
+            this.handleValidationError(cb, err);
+            return;
+        }
+
+        if (columns==null) {
+
+            //every key found in the rows, in the order first seen
+            columns = [];
+            let found = {};
+            for (let row of rows) {
+                for (let key in row) {
+                    if (row.hasOwnProperty(key) && !found.hasOwnProperty(key)) {
+                        found[key] = true;
+                        columns.push(key);
+                    }
+                }
+            }
+
+        } else if (!Array.isArray(columns)) {
+            //split if columns is a string
+            columns = columns.split(",");
+        }
+
+        columns = columns.map(function(column) {
+            return String(column).trim();
+        });
+
+        if (columns.length==0 && rows.length>0) {
+            let err = new DatabaseError("BulkInsertHelper: Rows have no columns.",
+                {code: DatabaseError.VALIDATION});
+            this.handleValidationError(cb, err);
+            return;
+        }
+
+        var sqlInsert;
+        var sqlReturning;
+        var parasReturning = [];
+
+        try {
+            sqlInsert = "INSERT INTO " + quoteIdentifier(table) +
+                " (" + quoteIdentifiers(columns).join(",") + ") VALUES ";
+            sqlReturning = buildReturning(returning, parasReturning);
+        } catch (err) {
+            this.handleValidationError(cb, err, "BulkInsertHelper: " + err.message);
+            return;
+        }
+
+        var queryOptions = getUserQueryOptions(getQueryOptions(options));
+
+        self.initHandleCallback();
+
+        //the transaction replaces resume_next with its own calls, keep ours for the end
+        var resumeNext = self.resume_next;
+
+        var index = 0;
+        var inserted = 0;
+        var returned = [];
+
+        function insertChunk(done) {
+            if (index >= rows.length) {
+                done(null);
+                return;
+            }
+
+            var sql = sqlInsert;
+            var paras = [];
+            var count = 0;
+
+            while (index < rows.length && (chunkSize==null || count < chunkSize)) {
+                let row = rows[index];
+                let rowParas = [];
+                let rowSQL = [];
+
+                for (let column of columns) {
+                    if (row.hasOwnProperty(column) && row[column]!==undefined)
+                        rowSQL.push(bindValue(row[column], rowParas));
+                    else
+                        rowSQL.push("DEFAULT");
+                }
+
+                //stay under the limit of parameters in a single statement
+                if (count > 0 &&
+                    paras.length + rowParas.length + parasReturning.length > maxParameters)
+                    break;
+
+                sql += (count > 0 ? "," : "") + "(" + rowSQL.join(",") + ")";
+                Array.prototype.push.apply(paras, rowParas);
+                count++;
+                index++;
+            }
+
+            sql += sqlReturning + " ;";
+
+            self.execute(sql, paras.concat(parasReturning), queryOptions, function(err, result) {
+                if (err) {
+                    done(err);
+                    return;
+                }
+
+                inserted += self.resultCount;
+                if (returning!=null)
+                    Array.prototype.push.apply(returned, result);
+
+                if (onProgress!=null)
+                    onProgress(index, rows.length);
+
+                insertChunk(done);
+            });
+        }
+
+        function finish(err) {
+            self.resume_next = resumeNext;
+
+            if (!err) {
+                self.result = returned;
+                self.resultCount = inserted;
+            }
+
+            self.handleCallback(cb, err, err ? null : returned);
+        }
+
+        if (transaction) {
+            self.transaction(isObject(transaction) ? transaction : null, function(db, done) {
+                //start over if the transaction is retried
+                index = 0;
+                inserted = 0;
+                returned = [];
+
+                insertChunk(done);
+            }, finish);
+        } else {
+            insertChunk(finish);
+        }
+
+    }
+
+    /**
+     * Update Statement Helper
+     * <h4>Example:</h4>
+     * Updates user's email by username.
+     * <pre>
+     *     //..
+     *     yield db.updateHelper({
+     *          table: "users",
+     *          columns: {
+     *              "email":"newemail@test.com"
+     *          },
+     *          where: db.whereHelper({
+     *              "username":"tester"
+     *          })
+     *     });
+     *     //..
+     * </pre>
+     * @param {Object} options - Required. See properties:
+     * @param {String} options.table - Table name, may include the schema (ie: public.users)
+     * @param {Array} options.columns - Array of column names to update, use with options.values property to specifiy values.
+     * @param {Object} options.columns - Or Object where keys are column names and values are values.
+     *                   Note: options.values property not needed.
+     * @param {Array} [options.values=null] - Array of values used with options.columns (Array) property.
+     * @param {String} [options.where=null] - where clause sql statement segment (ie: name=? OR id=? )
+     *                      <br>You may also use {@link Postgresjs#whereHelper}
+     * @param {Array|Object} [options.whereParas=null] - Array of values to replace parameters in where SQL,
+     *                      or Object of named parameters (ie: name=:name OR id=:id )
+     *                      <br>Not needed if you use whereHelper.
+     * @param {Array} [options.returning=null] - Array of column names to return from the
+     *                  affected rows, or "*" for all columns (ie: ["id"]).
+     * @param {Boolean} [options.single=false] - Returns the first row instead of an array, like selectRow.
+     * @param {String} [options.name=null] - Run as a named prepared statement, see {@link Postgresjs#query}.
+     * @param {Boolean} [options.prepare=null] - Run as a prepared statement named from its SQL.
+     * @param {int} [options.timeout=null] - Time in ms the query may run, see {@link Postgresjs#query}.
+     * @param {AbortSignal} [options.signal=null] - Cancels the query when aborted.
+     * @param {Postgresjs~cbOnQuery} [cb=null] - Use callback or leave null to use suspend.resume.
+     *                  <br>Returns cb(err,results) where result is an array of the returned rows.
+     */
+    updateHelper(options,cb) {
+        if (this.usePromise(cb))
+            return this.promiseCall(this.updateHelper, [options]);
+
+        var self = this;
+
+        if (options==null) {
+            let err = new DatabaseError("UpdateHelper: Options parameter required.",
+                {code: DatabaseError.VALIDATION});
+            this.handleValidationError(cb, err);
+            return;
+        }
+
+
+        var table = options.table;
+        var columns = options.columns;
+        var values = options.values;
+        var where = options.where;
+        var whereParas = options.whereParas;
+        var returning = options.returning || null;
+        var single = options.single || false;
+
+        if (table == null) {
+            let err = new DatabaseError("UpdateHelper: Table option is required.",
+                {code: DatabaseError.VALIDATION});
+            this.handleValidationError(cb, err);
+            return;
+        }
+
+
+        var sql = "UPDATE ";
+        var finalParas = [];
+
+        let tempColumns;
+        let tempValues;
+
+        if (isObject(columns)) {
+
+            tempColumns = [];
+            tempValues = [];
+
+            for (let key in columns) {
+                if (columns.hasOwnProperty(key)) {
+                    tempColumns.push(key);
+                    tempValues.push(columns[key]);
+                }
+            }
+
+        } else {
+
+            //split if columns is a string
+            if (!Array.isArray(columns))
+                tempColumns = columns.split(",");
+            else
+                tempColumns = columns;
+
+            tempValues = values;
+        }
+
+        if (tempValues==null || tempColumns==null ||
+            tempColumns.length != tempValues.length) {
+            let err = new DatabaseError("UpdateHelper: Number of Columns and Values do not match.",
+                {code: DatabaseError.VALIDATION});
+            this.handleValidationError(cb, err);
+            return;
+        }
+
+        try {
+            sql += quoteIdentifier(table, finalParas) + " SET ";
+
+            let quotedColumns = quoteIdentifiers(tempColumns);
+            for (let i=0; i<quotedColumns.length; i++) {
+                sql += quotedColumns[i] + "=" + bindValue(tempValues[i], finalParas) + ",";
+            }
+        } catch (err) {
+            this.handleValidationError(cb, err, "UpdateHelper: " + err.message);
+            return;
+        }
+        sql = removeLastChara(sql);
+
+
+
+        if (where!=null) {
+
+            let built = buildWhere(where, whereParas);
+            if (built.error) {
+                this.handleValidationError(cb, built.error);
+                return;
+            }
+
+            sql += " WHERE " + built.sql;
+            Array.prototype.push.apply(finalParas,built.paras);
+
+        }
+
+        try {
+            sql += buildReturning(returning, finalParas);
+        } catch (err) {
+            this.handleValidationError(cb, err, "UpdateHelper: " + err.message);
+            return;
+        }
+
+        sql += " ;";
+
+        (single ? this.selectRow : this.query).call(this,sql,finalParas,
+            getQueryOptions(options),cb);
+
+    }
+
+    /**
+     * Delete Statement Helper
+     * <h4>Example:</h4>
+     * Deletes user record with the username "tester".
+     * <pre>
+     *     //..
+     *     yield db.deleteHelper({
+     *          table: "users",
+     *          where: db.whereHelper({
+     *              "username":"tester"
+     *          })
+     *     });
+     *     //..
+     * </pre>
+     * @param {Object} options - Required. See properties:
+     * @param {String} options.table - Table name, may include the schema (ie: public.users)
+     * @param {String} [options.where=null] - where clause sql statement segment (ie: name=? OR id=? )
+     *                      <br>You may also use {@link Postgresjs#whereHelper}
+     * @param {Array|Object} [options.whereParas=null] - Array of values to replace parameters in where SQL,
+     *                      or Object of named parameters (ie: name=:name OR id=:id )
+     *                      <br>Not needed if you use whereHelper.
+     * @param {int} [options.limit=null] - Number of records to delete, or null for infinite.
+     * @param {Array} [options.returning=null] - Array of column names to return from the
+     *                  affected rows, or "*" for all columns (ie: ["id"]).
+     * @param {Boolean} [options.single=false] - Returns the first row instead of an array, like selectRow.
+     * @param {String} [options.name=null] - Run as a named prepared statement, see {@link Postgresjs#query}.
+     * @param {Boolean} [options.prepare=null] - Run as a prepared statement named from its SQL.
+     * @param {int} [options.timeout=null] - Time in ms the query may run, see {@link Postgresjs#query}.
+     * @param {AbortSignal} [options.signal=null] - Cancels the query when aborted.
+     * @param {Postgresjs~cbOnQuery} [cb=null] - Use callback or leave null to use suspend.resume.
+     *                  <br>Returns cb(err,results) where result is an array of the returned rows.
+     */
+    deleteHelper(options,cb) {
+        if (this.usePromise(cb))
+            return this.promiseCall(this.deleteHelper, [options]);
+
+        var self = this;
+
+        if (options==null) {
+
+            let err = new DatabaseError("DeleteHelper: Options parameter required.",
+                {code: DatabaseError.VALIDATION});
+            this.handleValidationError(cb, err);
+            return;
+        }
+
+        var table = options.table;
+        var where = options.where;
+        var whereParas = options.whereParas;
+        var limit = options.limit;
+        var returning = options.returning || null;
+        var single = options.single || false;
+
+        if (table == null) {
+            let err = new DatabaseError("DeleteHelper: Table option is required.",
+                {code: DatabaseError.VALIDATION});
+            this.handleValidationError(cb, err);
+            return;
+        }
+
+        var sql = "DELETE FROM ";
+        var finalParas = [];
+
+        try {
+            sql += quoteIdentifier(table, finalParas) + " ";
+        } catch (err) {
+            this.handleValidationError(cb, err, "DeleteHelper: " + err.message);
+            return;
+        }
+
+        if (where!=null) {
+
+            let built = buildWhere(where, whereParas);
+            if (built.error) {
+                this.handleValidationError(cb, built.error);
+                return;
+            }
+
+            sql += " WHERE " + built.sql;
+            Array.prototype.push.apply(finalParas,built.paras);
+
+        }
+
+        if (limit!=null) {
+            sql += " LIMIT " + limit;
+        }
+
+        try {
+            sql += buildReturning(returning, finalParas);
+        } catch (err) {
+            this.handleValidationError(cb, err, "DeleteHelper: " + err.message);
+            return;
+        }
+
+        sql += " ;";
+
+        (single ? this.selectRow : this.query).call(this,sql,finalParas,
+            getQueryOptions(options),cb);
+    }
+
+    /**
+     * Insert or update a row.
+     * <p>When the conflict, constraint or doNothing option is given, a single atomic
+     * INSERT ... ON CONFLICT statement is used. Otherwise the Merge method is used,
+     * which tries an update and then an insert. See {@link Postgresjs#merge}.</p>
+     * <p>Deprecated: using mergeHelper without the conflict, constraint or doNothing
+     * option logs a warning. Concurrent calls may both try the insert, and one fails
+     * with a unique violation or a {@link DatabaseError.MERGE_LIMIT} error.</p>
+     * <h4>Example:</h4>
+     * Inserts a new user in the users table or updates their email if already found.
+     * <pre>
+     *     //..
+     *     let action = yield db.mergeHelper({
+     *          table: "users",
+     *          columns: {
+     *              "username":"tester",
+     *              "email":"test@test.com"
+     *          },
+     *          conflict: ["username"]
+     *     });
+     *     //action is "insert" or "update"
+     *     //..
+     * </pre>
+     * @param {Object} options - Required. See properties:
+     * @param {String} options.table - Table name, may include the schema (ie: public.users)
+     * @param {Array} options.columns - Array of column names to update, use with options.values property to specifiy values.
+     * @param {Object} options.columns - Or Object where keys are column names and values are values.
+     *                   Note: options.values property not needed.
+     * @param {Array} [options.values=null] - Array of values used with options.columns (Array) property.
+     * @param {Array} [options.conflict=null] - Array of column names of the unique index
+     *                      to check for conflicts (ie: ON CONFLICT (username)).
+     * @param {String} [options.constraint=null] - Or name of the constraint to check for conflicts.
+     * @param {Array} [options.update=null] - Array of column names to update on conflict.
+     *                      <br>Defaults to all columns not in the conflict option.
+     * @param {Boolean} [options.doNothing=false] - Skip the row on conflict instead of updating it.
+     * @param {String} [options.updateWhere=null] - where clause sql statement segment, only
+     *                      update on conflict if true (ie: users.version < EXCLUDED.version)
+     *                      <br>You may also use {@link Postgresjs#whereHelper}
+     * @param {Array|Object} [options.updateWhereParas=null] - Array of values to replace parameters in updateWhere SQL,
+     *                      or Object of named parameters
+     *                      <br>Not needed if you use whereHelper.
+     * @param {String} [options.where=null] - Used without the conflict option: where clause sql
+     *                      statement segment of the update (ie: name=? OR id=? )
+     *                      <br>You may also use {@link Postgresjs#whereHelper}
+     * @param {Array|Object} [options.whereParas=null] - Array of values to replace parameters in where SQL,
+     *                      or Object of named parameters (ie: name=:name OR id=:id )
+     *                      <br>Not needed if you use whereHelper.
+     * @param {Array} [options.returning=null] - Array of column names to return from the
+     *                  inserted or updated row, or "*" for all columns. The row is available from
+     *                  {@link Postgresjs#rows} (ie: db.rows[0].id).
+     * @param {String} [options.name=null] - Run as a named prepared statement, see {@link Postgresjs#query}.
+     *                  <br>Without a conflict target, the update and insert are named name_update and name_insert.
+     * @param {Boolean} [options.prepare=null] - Run as a prepared statement named from its SQL.
+     * @param {int} [options.timeout=null] - Time in ms the query may run, see {@link Postgresjs#query}.
+     * @param {AbortSignal} [options.signal=null] - Cancels the query when aborted.
+     * @param {Postgresjs~cbOnMerge} [cb=null] - Use callback or leave null to use suspend.resume.
+     *                  <br>Returns cb(err,result) where result is either "update" or "insert" depending
+     *                  on which operation was needed, or "none" if the row was skipped.
+     */
+    mergeHelper(options,cb) {
+        if (this.usePromise(cb))
+            return this.promiseCall(this.mergeHelper, [options]);
+
+        var self = this;
+
+        if (options==null) {
+            let err = new DatabaseError("MergeHelper: Options parameter required.",
+                {code: DatabaseError.VALIDATION});
+
+            this.handleValidationError(cb, err);
+            return;
+        }
+
+        var table = options.table;
+        var columns = options.columns;
+        var values = options.values;
+        var where = options.where;
+        var whereParas = options.whereParas;
+        var conflict = options.conflict || null;
+        var constraint = options.constraint || null;
+        var update = options.update || null;
+        var doNothing = options.doNothing || false;
+        var updateWhere = options.updateWhere || null;
+        var updateWhereParas = options.updateWhereParas || null;
+        var returning = options.returning || null;
+
+        if (table == null) {
+            let err = new DatabaseError("MergeHelper: Table option is required.",
+                {code: DatabaseError.VALIDATION});
+
+            this.handleValidationError(cb, err);
+            return;
+        }
+
+
+        var parasInsert = [];
+        var parasUpdate = [];
+
+
+        let tempColumns;
+        let tempValues;
+
+        if (isObject(columns)) {
+
+            tempColumns = [];
+            tempValues = [];
+
+            for (let key in columns) {
+                if (columns.hasOwnProperty(key)) {
+                    tempColumns.push(key);
+                    tempValues.push(columns[key]);
+                }
+            }
+
+        } else {
+
+            //split if columns is a string
+            if (!Array.isArray(columns))
+                tempColumns = columns.split(",");
+            else
+                tempColumns = columns;
+
+            tempValues = values;
+        }
+
+        if (tempValues==null || tempColumns==null ||
+            tempColumns.length != tempValues.length) {
+            let err = new DatabaseError("MergeHelper: Number of Columns and Values do not match.",
+                {code: DatabaseError.VALIDATION});
+
+            this.handleValidationError(cb, err);
+            return;
+        }
+
+        var quotedTable;
+        var quotedColumns;
+
+        try {
+            quotedTable = quoteIdentifier(table);
+            quotedColumns = quoteIdentifiers(tempColumns);
+        } catch (err) {
+            this.handleValidationError(cb, err, "MergeHelper: " + err.message);
+            return;
+        }
+
+        if (conflict!=null || constraint!=null || doNothing) {
+
+            var sql = "INSERT INTO " + quotedTable + " (" + quotedColumns.join(",") + ") VALUES (";
+            var finalParas = [];
+
+            for (let value of tempValues) {
+                sql += bindValue(value, finalParas) + ",";
+            }
+            sql = removeLastChara(sql) + ")";
+
+            //split if conflict is a string
+            if (conflict!=null && !Array.isArray(conflict))
+                conflict = conflict.split(",");
+
+            if (update==null) {
+                update = [];
+                for (let column of tempColumns) {
+                    if (conflict==null || conflict.indexOf(column.trim()) == -1)
+                        update.push(column);
+                }
+            } else if (!Array.isArray(update)) {
+                update = update.split(",");
+            }
+
+            try {
+                if (constraint!=null)
+                    sql += " ON CONFLICT ON CONSTRAINT " + quoteIdentifier(constraint);
+                else if (conflict!=null)
+                    sql += " ON CONFLICT (" + quoteIdentifiers(conflict).join(",") + ")";
+                else
+                    sql += " ON CONFLICT";
+
+                update = quoteIdentifiers(update);
+            } catch (err) {
+                this.handleValidationError(cb, err, "MergeHelper: " + err.message);
+                return;
+            }
+
+            if (doNothing || update.length==0) {
+
+                sql += " DO NOTHING";
+
+            } else {
+
+                if (conflict==null && constraint==null) {
+                    let err = new DatabaseError("MergeHelper: Conflict or Constraint option is required to update.",
+                        {code: DatabaseError.VALIDATION});
+
+                    this.handleValidationError(cb, err);
+                    return;
+                }
+
+                sql += " DO UPDATE SET ";
+                for (let column of update) {
+                    sql += column + "=EXCLUDED." + column + ",";
+                }
+                sql = removeLastChara(sql);
+
+                if (updateWhere!=null) {
+
+                    let built = buildWhere(updateWhere, updateWhereParas);
+                    if (built.error) {
+                        this.handleValidationError(cb, built.error);
+                        return;
+                    }
+
+                    sql += " WHERE " + built.sql;
+                    Array.prototype.push.apply(finalParas,built.paras);
+
+                }
+            }
+
+            //the parameters of the returned columns come after the ones of the values
+            var returningColumns = [];
+            try {
+                if (returning!=null)
+                    returningColumns = buildSelectColumns(returning, finalParas);
+            } catch (err) {
+                this.handleValidationError(cb, err, "MergeHelper: " + err.message);
+                return;
+            }
+
+            //xmax is only set on the row version when it was updated
+            sql += " RETURNING " + ["(xmax = 0) AS postgresjs_inserted"].concat(returningColumns).join(",") + " ;";
+
+            self.initHandleCallback();
+
+            self.query(sql,finalParas,getQueryOptions(options),function(err,rows) {
+                if (err) {
+                    self.handleCallback(cb,err);
+                    return;
+                }
+
+                var action = "none";
+                if (rows.length > 0)
+                    action = rows[0].postgresjs_inserted ? "insert" : "update";
+
+                //only keep the returned columns in db.rows
+                for (let row of rows) {
+                    delete row.postgresjs_inserted;
+                }
+
+                self.handleCallback(cb,null,action);
+            });
+
+            return;
+        }
+
+        self.log("warn", "MergeHelper: Using mergeHelper without the conflict, constraint or " +
+            "doNothing option is deprecated, concurrent calls may fail.", {table: table});
+
+        var sqlInsert = "insert into " + quotedTable + " (";
+        var sqlUpdate = "update " + quotedTable + " set ";
+
+        for (let i=0; i<quotedColumns.length; i++) {
+            sqlInsert += quotedColumns[i] + ",";
+            sqlUpdate += quotedColumns[i] + "=" + bindValue(tempValues[i], parasUpdate) + ",";
+        }
+
+        sqlInsert = removeLastChara(sqlInsert);
+        sqlUpdate = removeLastChara(sqlUpdate);
+
+
+        //wrapping up the end of the INSERT satement
+        sqlInsert += ") VALUES (";
+        for (let value of tempValues) {
+            sqlInsert += bindValue(value, parasInsert) + ",";
+        }
+
+        sqlInsert = removeLastChara(sqlInsert);
+        sqlInsert += ")";
+
+
+        if (where!=null) {
+
+            let built = buildWhere(where, whereParas);
+            if (built.error) {
+                this.handleValidationError(cb, built.error);
+                return;
+            }
+
+            sqlUpdate += " WHERE " + built.sql;
+            Array.prototype.push.apply(parasUpdate,built.paras);
+
+        }
+
+        try {
+            sqlUpdate += buildReturning(returning, parasUpdate);
+            sqlInsert += buildReturning(returning, parasInsert);
+        } catch (err) {
+            this.handleValidationError(cb, err, "MergeHelper: " + err.message);
+            return;
+        }
+
+        sqlInsert += " ;";
+
+        var queryOptions = getUserQueryOptions(getQueryOptions(options));
+
+        //each statement is prepared under its own name
+        var insertOptions = Object.assign({}, queryOptions,
+            {name: options.name!=null ? options.name + "_insert" : null});
+        var updateOptions = Object.assign({}, queryOptions,
+            {name: options.name!=null ? options.name + "_update" : null});
+
+        self.initHandleCallback();
+
+        runMerge(self, sqlInsert, parasInsert, sqlUpdate, parasUpdate, insertOptions, updateOptions,
+            function(err, action) {
+                self.handleCallback(cb, err, action);
+            });
+
+    }
+
+
+    /**
+     * Builds the where option for use with "where" option in other helpers.
+     * See {@link Postgresjs#selectHelper}, {@link Postgresjs#deleteHelper},
+     * {@link Postgresjs#updateHelper}, {@link Postgresjs#mergeHelper}.
+     * <h4>Example:</h4>
+     * <pre>
+     *     //..
+     *     db.whereHelper({
+     *       "name -like":"%Smith",
+     *       "banned":false,
+     *       "age >=":18,
+     *       "deleted_at":null,
+     *       "$or": [
+     *           {"role -in":["admin","owner"]},
+     *           {"score -between":[50,100], "email -notnull":true}
+     *       ]
+     *     });
+     *     //..
+     * </pre>
+     * @param {Object} variables - Set keys as column names and values as desired value.
+     *              <br>Special flags may be appended to key string:
+     *              <br> -like, -notlike, -ilike, -notilike : uses the (NOT) LIKE / ILIKE comparators
+     *              <br> -not or != : uses the != comparator
+     *              <br> -gt, -gte, -lt, -lte or &gt;, &gt;=, &lt;, &lt;= : uses the matching comparator
+     *              <br> -in, -notin : value is an array, uses = ANY(?) or &lt;&gt; ALL(?)
+     *              <br> -between, -notbetween : value is an array of two values
+     *              <br> -null, -notnull : uses IS NULL or IS NOT NULL if value is true (inverted if false)
+     *              <br> -distinct, -notdistinct : uses IS DISTINCT FROM or IS NOT DISTINCT FROM
+     *              <br> <i>default</i> : uses the = comparator
+     *              <br>A null value with = or != uses IS NULL or IS NOT NULL, undefined values are skipped.
+     *              <br>Other array values are expanded into a group (ie: (name=? OR name=?)).
+     *              <br>Use the "$or" and "$and" keys to nest groups, with an object of conditions
+     *              or an array of objects, each joined with AND.
+     *              <br>Column names are quoted, values may be {@link Postgresjs.raw} expressions.
+     *              <br>Keys may also be an aggregate, for use with the having option (ie: "count(*) &gt;").
+     * @param {String} [defaultLogic="AND"] - logic seperator, either AND or OR
+     * @returns object for use with the "where" option in other helpers.
+     */
+    whereHelper(variables,defaultLogic) {
+
+        if (variables==null || !isObject(variables))
+            return;
+
+        if (defaultLogic==null) defaultLogic = " AND ";
+
+        defaultLogic = defaultLogic.trim().toUpperCase();
+
+        var out = {
+            sql: null,
+            paras: []
+        }
+
+        try {
+            if (defaultLogic!="AND" && defaultLogic!="OR")
+                throw new DatabaseError("Invalid logic: " + JSON.stringify(defaultLogic),
+                    {code: DatabaseError.VALIDATION});
+
+            out.sql = buildWhereConditions(variables, defaultLogic, out.paras);
+        } catch (err) {
+            if (this._throwErrors)
+                throw err;
+            else
+                this.log("error", "WhereHelper: " + err.message, {error: err});
+
+            return;
+        }
+
+        if (out.sql==null) out = null;
+
+        return out;
+
+
+    }
+
+    /**
+     * Returns a string to be used in the "orderBy" field in other helpers.
+     * See {@link Postgresjs#selectHelper}.
+     * <p>Sort options are either "ASC" or "DESC", optionally followed by
+     * "NULLS FIRST" or "NULLS LAST". Column names are quoted, use {@link Postgresjs.raw}
+     * to sort by an expression.</p>
+     * @param {Object} options - Required. See properties:
+     * @param {Array} options.columns - Array of column names, or
+     *              <br>Array of Objects: [{name:"column name",sort:"ASC",nulls:"LAST"}, ..], or
+     *              <br>Array of Arrays: [["column name","ASC"], ..]
+     * @param {String} [options.defaultSort="ASC"] - Used if sort is not specified.
+     * @returns string of sql (the order by clause)
+     */
+    orderByHelper(options) {
+        if (options!=null && isObject(options)) {
+
+            var defaultSort = options.defaultSort || "ASC";
+            var columns = options.columns || [];
+
+            if (Array.isArray(columns)) {
+
+                var sql = "";
+
+                for (let column of columns) {
+
+                    let name = null;
+                    let sort = null;
+                    let nulls = null;
+
+                    if (column instanceof RawSql) {
+                        name = column;
+
+                    } else if (isObject(column)) {
+
+                        if (column.name) {
+                            name = column.name;
+                            sort = column.sort || column.sortBy || null;
+                            nulls = column.nulls || null;
+                        }
+
+                    } else if (Array.isArray(column)) {
+                        if (column.length>=1)
+                            name = column[0];
+
+                        if (column.length>=2)
+                            sort = column[1];
+
+                    } else {
+                        name = column;
+                    }
+
+
+                    if (name) {
+
+                        if (sort==null)
+                            sort = defaultSort;
+                        else if (sort === true)
+                            sort = "ASC";
+                        else if (sort === false)
+                            sort = "DESC";
+
+                        if (nulls!=null)
+                            sort += " NULLS " + nulls;
+
+                        sort = String(sort).trim().toUpperCase().replace(/\s+/g, " ");
+
+                        try {
+                            if (!/^(ASC|DESC)( NULLS (FIRST|LAST))?$/.test(sort))
+                                throw new DatabaseError("Invalid sort: " + JSON.stringify(sort),
+                                    {code: DatabaseError.VALIDATION});
+
+                            sql += (quoteAggregate(name) || quoteIdentifier(name)) + " " + sort;
+                        } catch (err) {
+                            if (this._throwErrors)
+                                throw err;
+                            else
+                                this.log("error", "OrderByHelper: " + err.message, {error: err});
+
+                            return null;
+                        }
+
+
+                        sql += ",";
+                    }
+
+
+                }
+
+                sql = removeLastChara(sql);
+
+                this.log("debug", "Order by: " + sql, {sql: sql});
+                return sql;
+
+            } else
+                return columns;
+
+        } else
+            return options;
+
+    }
+
+    //##########################################################################
+    //  Result Methods
+    //##########################################################################
+
+    /**
+     * Returns an error object from the last executed command on this db conn.
+     * @returns Error object or null if no error
+     */
+    error() {
+        return this.last_error;
+    };
+
+    /**
+     * @description  Returns an array of objects as rows from last query
+     */
+    get rows() {
+        return this.result;
+    }
+
+    /**
+     * @description Returns number of rows last affected by last query
+     */
+    get rowCount() {
+        return this.resultCount;
+    }
+
+
+    /**
+     * Loops over the rows from the last query. Non-blocking.
+     * <h4>Example:</h4>
+     * <pre>
+     *   //..
+     *   yield db.asyncForEach((index,item,next) => {
+     *      console.log(index + ") ",item);
+     *      //..
+     *      next();
+     *   });
+     *  //..
+     * </pre>
+     * @param {Postgresjs~cbAsyncForEachIterator} cbIterator - Returns cb(index,item,cbNext).
+     *              <br>Must call cbNext() to continue.
+     * @param {Postgresjs~cbAsyncForEachFinal} [cbFinal=null] - Returns cb().
+     * @param {Boolean} [enableCallback=true] - Set to false to disable default
+     *                callback handling (used to disable suspend.resume on loop completion).
+     */
+    asyncForEach(cbIterator, cbFinal, enableCallback) {
+        if (enableCallback==null) enableCallback = true;
+        if (enableCallback && this.usePromise(cbFinal))
+            return this.promiseCall(this.asyncForEach, [cbIterator]);
+
+        var self = this;
+        if (enableCallback) self.initHandleCallback();
+
+        var data = this.result;
+        var counter = 0;
+        var len = data.length;
+
+        var next = function () {
+            if (counter < len && data != null) {
+                process.nextTick(step);
+            } else {
+                if (enableCallback)  self.handleCallback(cbFinal);
+                return;
+            }
+        };
+        var step = function () {
+            if (counter < len && data != null) {
+                var key = counter++;
+                if (cbIterator(key, data[key], next) == false) {
+                    if (enableCallback) self.handleCallback(cbFinal);
+                    return;
+                }
+
+            } else {
+                if (enableCallback) self.handleCallback(cbFinal);
+                return;
+            }
+        };
+        step();
+    };
+
+
+    //##########################################################################
+    //  Callback Handlers
+    //##########################################################################
+
+    /**
+     * Internal method. You should not call this directly.
+     * ----------------
+     * Returns true if the method was called without a callback while no
+     * resume reference is set, in which case a Promise is returned instead.
+     * @ignore
+     */
+    usePromise(cb) {
+        return cb==null && this.resume==null;
+    }
+
+    /**
+     * Internal method. You should not call this directly.
+     * ----------------
+     * Calls the method with the given arguments plus a callback that settles
+     * the returned Promise. Errors reject the Promise unless throwErrors
+     * has been disabled, in which case check {@link Postgresjs#error}.
+     * @ignore
+     */
+    promiseCall(method, args) {
+        return new Promise((resolve, reject) => {
+            args.push((err, result) => {
+                if (err && this._throwErrors)
+                    reject(err);
+                else
+                    resolve(result);
+            });
+            method.apply(this, args);
+        });
+    }
+
+    /**
+     * Internal method. You should not call this directly.
+     * ----------------
+     * Throws a validation error, or if throwErrors is disabled, logs it and returns
+     * it through the callback, suspend.resume or the returned Promise.
+     * @param {Function} cb
+     * @param {DatabaseError} err
+     * @param {String} [message=err.message] - logged message
+     * @ignore
+     */
+    handleValidationError(cb, err, message) {
+        if (this._throwErrors)
+            throw err;
+
+        this.log("error", message || err.message, {error: err});
+
+        this.initHandleCallback();
+        this.handleCallback(cb, err);
+    }
+
+    /**
+     * Internal method. You should not call this directly.
+     * ----------------
+     * Prepares the handle callback system for suspend.resume usage.
+     * @ignore
+     */
+    initHandleCallback() {
+        if (this.resume)
+            this.resume_next = this.resume();
+        else
+            this.resume_next = null;
+    };
+    /**
+     * Internal method. You should not call this directly.
+     * ----------------
+     * Calls back the callback or if callback is null, executes
+     * the suspend.resume to move forward.
+     * @ignore
+     */
+    handleCallback(cb, err, result) {
+        if (err) {
+            this.last_error = err;
+        } else {
+            this.last_error = null;
+        }
+        if (cb)
+            cb(err, result, this.resume_next);
+        else if (this.resume_next) {
+
+            if (this._throwErrors)
+                this.resume_next(err, result);
+            else
+                this.resume_next(null, result);
+        }
+    }
+};
+module.exports = Postgresjs;
+
+//##########################################################################
+//  Private: Util Methods
+//##########################################################################
+
+function scanSql(sql, fnToken) {
+    var rv = [];
+    var currentIndex = 0;
+    var len = sql.length;
+    var i = 0;
+    var brackets = 0;
+
+    //replaces the text of a token if fnToken returns a string
+    function token(start, end, tok) {
+        var replacement = fnToken(tok);
+        if (replacement==null) return;
+        rv.push(sql.substring(currentIndex, start));
+        rv.push(replacement);
+        currentIndex = end;
+    }
+
+    while (i < len) {
+        var c = sql[i];
+        var next = sql[i+1];
+        var match;
+
+        if (c == "'") {
+            //escape strings (ie: E'it\'s') allow backslash escapes
+            var escapes = (sql[i-1] == 'E' || sql[i-1] == 'e') && !isIdentifierChar(sql[i-2]);
+            i = skipQuoted(sql, i + 1, "'", escapes);
+        } else if (c == '"') {
+            i = skipQuoted(sql, i + 1, '"', false);
+        } else if (c == '-' && next == '-') {
+            var eol = sql.indexOf("\n", i + 2);
+            i = eol == -1 ? len : eol + 1;
+        } else if (c == '/' && next == '*') {
+            i = skipBlockComment(sql, i);
+        } else if (c == '$' && !isIdentifierChar(sql[i-1])) {
+            if ((match = /^\$(?:[A-Za-z_\u0080-\uffff][A-Za-z0-9_\u0080-\uffff]*)?\$/.exec(sql.substr(i)))) {
+                //dollar-quoted string (ie: $$ ... $$ or $body$ ... $body$)
+                var close = sql.indexOf(match[0], i + match[0].length);
+                i = close == -1 ? len : close + match[0].length;
+            } else if ((match = /^\$([0-9]+)/.exec(sql.substr(i)))) {
+                token(i, i + match[0].length, {type: "number", index: Number(match[1])});
+                i += match[0].length;
+            } else if ((match = /^\$([A-Za-z_][A-Za-z0-9_]*)/.exec(sql.substr(i)))) {
+                token(i, i + match[0].length, {type: "name", name: match[1], prefix: "$"});
+                i += match[0].length;
+            } else {
+                i++;
+            }
+        } else if (c == '[') {
+            brackets++;
+            i++;
+        } else if (c == ']') {
+            if (brackets > 0) brackets--;
+            i++;
+        } else if (c == ':') {
+            if (next == ':') {
+                //type cast (ie: ::int)
+                i += 2;
+            } else if (brackets == 0 && !isIdentifierChar(sql[i-1]) &&
+                (match = /^:([A-Za-z_][A-Za-z0-9_]*)/.exec(sql.substr(i)))) {
+                token(i, i + match[0].length, {type: "name", name: match[1], prefix: ":"});
+                i += match[0].length;
+            } else {
+                i++;
+            }
+        } else if (c == '?') {
+            if (next == '?') {
+                //escaped question-mark operator (ie: data ?? 'key')
+                token(i, i + 2, {type: "escaped"});
+                i += 2;
+            } else {
+                token(i, i + 1, {type: "question"});
+                i++;
+            }
+        } else {
+            i++;
+        }
+    }
+
+    rv.push(sql.substring(currentIndex));
+    return rv.join('');
+}
+function skipQuoted(sql, i, quote, escapes) {
+    for (var len = sql.length; i < len; i++) {
+        if (escapes && sql[i] == '\\') {
+            i++;
+        } else if (sql[i] == quote) {
+            //doubled quotes are part of the string
+            if (sql[i+1] != quote)
+                return i + 1;
+            i++;
+        }
+    }
+    return len;
+}
+function skipBlockComment(sql, i) {
+    //block comments may be nested
+    var depth = 0;
+    for (var len = sql.length; i < len; i++) {
+        if (sql[i] == '/' && sql[i+1] == '*') {
+            depth++;
+            i++;
+        } else if (sql[i] == '*' && sql[i+1] == '/') {
+            depth--;
+            i++;
+            if (depth == 0)
+                return i + 1;
+        }
+    }
+    return len;
+}
+function isIdentifierChar(c) {
+    return c!=null && /[A-Za-z0-9_$\u0080-\uffff]/.test(c);
+}
+function replaceQMarks(sql, paras) {
+    var parameterIndex = 1;
+    var maxNumbered = 0;
+
+    sql = scanSql(sql, function(tok) {
+        switch (tok.type) {
+            case "question":
+                return "$" + (parameterIndex++);
+            case "escaped":
+                return "?";
+            case "number":
+                //numbered parameters (ie: $1) may be used directly
+                maxNumbered = Math.max(maxNumbered, tok.index);
+                return null;
+        }
+        return null;
+    });
+
+    var expected = parameterIndex > 1 ? parameterIndex - 1 : maxNumbered;
+    var given = paras!=null ? paras.length : 0;
+
+    var error = null;
+    if (expected != given)
+        error = "Query has " + expected + " parameters but " + given + " values were given.";
+
+    return {sql: sql, paras: paras, error: error};
+}
+function bindNamedParas(sql, paras, positional) {
+    var values = [];
+    var indexes = {};
+    var missing = [];
+
+    sql = scanSql(sql, function(tok) {
+        if (tok.type == "question" || tok.type == "escaped")
+            //question-marks are operators here, keep them escaped if rewriting to ?
+            return positional ? "??" : "?";
+
+        if (tok.type != "name")
+            return null;
+
+        var name = tok.name;
+        if (!paras.hasOwnProperty(name)) {
+            if (missing.indexOf(name) == -1) missing.push(name);
+            return null;
+        }
+
+        if (positional) {
+            indexes[name] = true;
+            values.push(paras[name]);
+            return "?";
+        }
+
+        //a name used more than once binds a single parameter
+        if (!indexes.hasOwnProperty(name)) {
+            values.push(paras[name]);
+            indexes[name] = values.length;
+        }
+        return "$" + indexes[name];
+    });
+
+    var extra = [];
+    for (let key in paras) {
+        if (paras.hasOwnProperty(key) && !indexes.hasOwnProperty(key))
+            extra.push(key);
+    }
+
+    var error = null;
+    if (missing.length > 0)
+        error = "Missing values for named parameters: " + missing.join(", ");
+    else if (extra.length > 0)
+        error = "Values given for unknown named parameters: " + extra.join(", ");
+
+    return {sql: sql, paras: values, error: error};
+}
+function buildWhere(where, whereParas) {
+    var sql;
+    var paras;
+
+    if (isObject(where) &&
+        where.hasOwnProperty("sql") &&
+        where.hasOwnProperty("paras")
+    ) {
+        sql = where.sql;
+        paras = where.paras;
+    } else {
+        sql = where.trim();
+        if (sql.toLowerCase().substr(0,5)=="where")
+            sql = sql.substr(5);
+        paras = whereParas;
+    }
+
+    if (isObject(paras)) {
+        let bound = bindNamedParas(sql, paras, true);
+        if (bound.error) {
+            return {error: new DatabaseError("Where: " + bound.error,
+                {code: DatabaseError.VALIDATION, sql: sql, paras: paras})};
+        }
+        return {sql: bound.sql, paras: bound.paras, error: null};
+    }
+
+    return {sql: sql, paras: paras!=null ? paras.slice() : [], error: null};
+}
+function quoteIdentifier(name, paras, allowStar) {
+    if (name instanceof RawSql)
+        return bindValue(name, paras || []);
+
+    var str = typeof name == "string" ? name.trim() : "";
+
+    //split on dots outside of doublequotes (ie: schema.table or "my.schema"."Table")
+    var parts = str.match(/"(?:[^"]|"")+"|[^."]+/g) || [];
+    var valid = parts.length > 0 && parts.length <= 3 && parts.join(".") == str;
+
+    var quoted = [];
+    for (let i=0; valid && i<parts.length; i++) {
+        let part = parts[i];
+
+        if (part.charAt(0) == '"')
+            quoted.push(part);
+        else if (part == "*" && allowStar && i == parts.length-1)
+            quoted.push(part);
+        else if (/^[A-Za-z_\u0080-\uffff][A-Za-z0-9_$\u0080-\uffff]*$/.test(part))
+            quoted.push('"' + part + '"');
+        else
+            valid = false;
+    }
+
+    if (!valid)
+        throw new DatabaseError("Invalid identifier: " + JSON.stringify(name),
+            {code: DatabaseError.VALIDATION});
+
+    return quoted.join(".");
+}
+function quoteAlias(alias) {
+    if (typeof alias == "string") {
+        alias = alias.trim();
+
+        if (/^"(?:[^"]|"")+"$/.test(alias))
+            return alias;
+        if (/^[A-Za-z_\u0080-\uffff][A-Za-z0-9_$\u0080-\uffff]*$/.test(alias))
+            return '"' + alias + '"';
+    }
+
+    throw new DatabaseError("Invalid alias: " + JSON.stringify(alias),
+        {code: DatabaseError.VALIDATION});
+}
+function quoteAggregate(name) {
+    //aggregate of a column (ie: count(*) or sum(amount))
+    var match = /^([a-z]+)\((.+)\)$/i.exec(typeof name == "string" ? name.trim() : "");
+    if (match == null || aggregateFunctions.indexOf(match[1].toLowerCase()) == -1)
+        return null;
+
+    return buildAggregate(match[1], match[2], false);
+}
+function buildAggregate(fn, column, distinct) {
+    fn = fn.toLowerCase();
+
+    var arg = column;
+    if (fn == "count" && String(column).trim() == "*")
+        arg = "*";
+    else
+        arg = (distinct ? "DISTINCT " : "") + quoteIdentifier(column);
+
+    return fn.toUpperCase() + "(" + arg + ")";
+}
+function buildSelectColumns(columns, paras) {
+    //split if columns is a string
+    if (!Array.isArray(columns))
+        columns = String(columns).split(",");
+
+    return columns.map(function(column) {
+        if (!isObject(column) || column instanceof RawSql)
+            return quoteIdentifier(column, paras, true);
+
+        var sql = null;
+
+        if (column.column!=null)
+            sql = quoteIdentifier(column.column, paras, true);
+
+        for (let fn of aggregateFunctions) {
+            if (column.hasOwnProperty(fn))
+                sql = buildAggregate(fn, column[fn], column.distinct);
+        }
+
+        if (sql == null)
+            throw new DatabaseError("Invalid column: " + JSON.stringify(column),
+                {code: DatabaseError.VALIDATION});
+
+        if (column.as!=null)
+            sql += " AS " + quoteAlias(column.as);
+
+        return sql;
+    });
+}
+function quoteIdentifiers(names, paras, allowStar) {
+    //split if names is a string
+    if (!Array.isArray(names))
+        names = String(names).split(",");
+
+    return names.map(function(name) {
+        return quoteIdentifier(name, paras, allowStar);
+    });
+}
+function buildWhereConditions(variables, logic, paras) {
+    var tempSQL = [];
+
+    for (let key in variables) {
+
+        if (!variables.hasOwnProperty(key) || variables[key]===undefined)
+            continue;
+
+        let value = variables[key];
+        let group = key.trim().toLowerCase();
+
+        //nested groups (ie: {$or: [{a:1}, {b:2, c:3}]})
+        if (group=="$or" || group=="$and") {
+            let groupSQL = buildWhereGroup(value, group=="$or" ? "OR" : "AND", paras);
+            if (groupSQL!=null)
+                tempSQL.push("(" + groupSQL + ")");
+            continue;
+        }
+
+        //split on space outside of doublequotes
+        let nameParts = key.match(/(?:[^\s"]+|"[^"]*")+/g) || [];
+        let name = quoteAggregate(nameParts[0]) || quoteIdentifier(nameParts[0]);
+        let operator = "=";
+
+        for (let part of nameParts.slice(1)) {
+            part = part.trim().toLowerCase();
+            if (part.substr(0,2)=="--") part = part.substr(2);
+            if (part.substr(0,1)=="-") part = part.substr(1);
+
+            if (!whereOperators.hasOwnProperty(part))
+                throw new DatabaseError("Unknown operator: " + JSON.stringify(part),
+                    {code: DatabaseError.VALIDATION});
+
+            operator = whereOperators[part];
+        }
+
+        tempSQL.push(buildWhereCondition(name, operator, value, paras));
+    }
+
+    if (tempSQL.length==0)
+        return null;
+
+    return tempSQL.join(" " + logic + " ");
+}
+function buildWhereGroup(value, logic, paras) {
+    if (isObject(value) && !(value instanceof RawSql))
+        return buildWhereConditions(value, logic, paras);
+
+    if (!Array.isArray(value))
+        throw new DatabaseError("Group must be an object or an array of objects.",
+            {code: DatabaseError.VALIDATION});
+
+    var groupSQL = [];
+    for (let item of value) {
+        let itemSQL;
+
+        if (item instanceof RawSql)
+            itemSQL = bindValue(item, paras);
+        else if (isObject(item))
+            itemSQL = buildWhereConditions(item, "AND", paras);
+        else
+            throw new DatabaseError("Group must be an object or an array of objects.",
+                {code: DatabaseError.VALIDATION});
+
+        if (itemSQL!=null)
+            groupSQL.push("(" + itemSQL + ")");
+    }
+
+    if (groupSQL.length==0)
+        return null;
+
+    return groupSQL.join(" " + logic + " ");
+}
+function buildWhereCondition(name, operator, value, paras) {
+    var negated = operator=="!=" || operator.substr(0,4)=="NOT ";
+
+    switch (operator) {
+        case "IN":
+        case "NOT IN":
+            if (value instanceof RawSql) {
+                Array.prototype.push.apply(paras, value.paras);
+                return name + " " + operator + " (" + value.sql + ")";
+            }
+
+            if (!Array.isArray(value))
+                throw new DatabaseError("Operator " + operator + " requires an array.",
+                    {code: DatabaseError.VALIDATION});
+
+            //the array is sent as a single parameter
+            return name + (negated ? " <> ALL(" : " = ANY(") + bindValue(value, paras) + ")";
+
+        case "BETWEEN":
+        case "NOT BETWEEN":
+            if (!Array.isArray(value) || value.length!=2)
+                throw new DatabaseError("Operator " + operator + " requires an array of two values.",
+                    {code: DatabaseError.VALIDATION});
+
+            return name + " " + operator + " " + bindValue(value[0], paras) +
+                " AND " + bindValue(value[1], paras);
+
+        case "IS NULL":
+        case "IS NOT NULL":
+            //a false value inverts the check
+            return name + ((operator=="IS NULL") == !!value ? " IS NULL" : " IS NOT NULL");
+
+        case "IS DISTINCT FROM":
+        case "IS NOT DISTINCT FROM":
+            return name + " " + operator + " " + bindValue(value, paras);
+    }
+
+    if (value===null) {
+        if (operator=="=")
+            return name + " IS NULL";
+        if (operator=="!=")
+            return name + " IS NOT NULL";
+
+        throw new DatabaseError("Operator " + operator + " does not accept null.",
+            {code: DatabaseError.VALIDATION});
+    }
+
+    if (Array.isArray(value)) {
+        if (value.length==0)
+            return negated ? "TRUE" : "FALSE";
+
+        let arrSQL = [];
+        for (let arrValue of value) {
+            arrSQL.push(buildWhereCondition(name, operator, arrValue, paras));
+        }
+        return "(" + arrSQL.join(negated ? " AND " : " OR ") + ")";
+    }
+
+    return name + " " + operator + " " + bindValue(value, paras);
+}
+function bindValue(value, paras) {
+    if (value instanceof RawSql) {
+        Array.prototype.push.apply(paras, value.paras);
+
+        //statements from buildSelect are used as subqueries
+        if (value.isQuery)
+            return "(" + value.sql + ")";
+
+        return value.sql;
+    }
+
+    paras.push(value);
+    return "?";
+}
+function buildSelectSql(options) {
+    if (options==null)
+        throw new DatabaseError("SelectHelper: Options parameter is required.",
+            {code: DatabaseError.VALIDATION});
+
+    var cte = options.with || null;
+    var recursive = options.recursive || false;
+    var table = options.table || null;
+    var alias = options.alias || null;
+    var joins = options.joins || null;
+    var columns = options.columns || null;
+    var where = options.where || null;
+    var whereParas = options.whereParas || null;
+    var distinct = options.distinct || false;
+    var distinctOn = options.distinctOn || null;
+    var groupBy = options.groupBy || null;
+    var having = options.having || null;
+    var havingParas = options.havingParas || null;
+    var orderBy = options.orderBy || null;
+    var limit = options.limit || null;
+    var start = options.start || 0;
+
+    if (table == null)
+        throw new DatabaseError("SelectHelper: Table option is required.",
+            {code: DatabaseError.VALIDATION});
+
+    var sql = "";
+    var finalParas = [];
+
+    try {
+        if (cte!=null)
+            sql += buildWith(cte, recursive, finalParas) + " ";
+
+        sql += "SELECT ";
+
+        if (distinctOn!=null)
+            sql += "DISTINCT ON (" + quoteIdentifiers(distinctOn, finalParas).join(",") + ") ";
+        else if (distinct)
+            sql += "DISTINCT ";
+
+        if (columns!=null)
+            sql += buildSelectColumns(columns, finalParas).join(",");
+        else
+            sql += " * ";
+
+        sql += " FROM " + quoteIdentifier(table, finalParas);
+        if (alias!=null)
+            sql += " " + quoteAlias(alias);
+
+        if (joins!=null)
+            sql += buildJoins(joins, finalParas);
+    } catch (err) {
+        if (!(err instanceof DatabaseError) || err.code!=DatabaseError.VALIDATION)
+            throw err;
+
+        throw new DatabaseError("SelectHelper: " + err.message,
+            {code: DatabaseError.VALIDATION});
+    }
+
+    if (where!=null) {
+
+        let built = buildWhere(where, whereParas);
+        if (built.error)
+            throw built.error;
+
+        sql += " WHERE " + built.sql;
+        Array.prototype.push.apply(finalParas,built.paras);
+
+    }
+    if (groupBy!=null) {
+
+        try {
+            sql += " GROUP BY " + quoteIdentifiers(groupBy, finalParas).join(",");
+        } catch (err) {
+            throw new DatabaseError("SelectHelper: " + err.message,
+                {code: DatabaseError.VALIDATION});
+        }
+
+    }
+    if (having!=null) {
+
+        let built = buildWhere(having, havingParas);
+        if (built.error)
+            throw built.error;
+
+        sql += " HAVING " + built.sql;
+        Array.prototype.push.apply(finalParas,built.paras);
+
+    }
+    if (orderBy!=null) {
+        orderBy = orderBy.trim();
+        var lowerOrderBy = orderBy.toLowerCase();
+        if (lowerOrderBy.substr(0,8)=="order by")
+            orderBy = orderBy.substr(8);
+
+        sql += " ORDER BY " + orderBy;
+    }
+
+    if (limit!=null) {
+        sql += " LIMIT " + limit + " OFFSET " + start ;
+    }
+
+    var query = new RawSql(sql, finalParas);
+    query.isQuery = true;
+    return query;
+}
+function buildKeysetOrder(orderBy, defaultSort) {
+    if (!Array.isArray(orderBy) || orderBy.length==0)
+        throw new DatabaseError("PaginateHelper: OrderBy must be an array of columns.",
+            {code: DatabaseError.VALIDATION});
+
+    var order = [];
+    for (let column of orderBy) {
+        let name = column;
+        let sort = null;
+
+        if (Array.isArray(column)) {
+            name = column[0];
+            sort = column[1];
+        } else if (isObject(column)) {
+            name = column.name;
+            sort = column.sort || column.sortBy || null;
+        }
+
+        sort = String(sort==null ? defaultSort : sort).trim().toUpperCase();
+
+        if (typeof name !== "string" || (sort!="ASC" && sort!="DESC"))
+            throw new DatabaseError("PaginateHelper: Invalid orderBy column: " +
+                JSON.stringify(column), {code: DatabaseError.VALIDATION});
+
+        let sql;
+        try {
+            sql = quoteIdentifier(name);
+        } catch (err) {
+            throw new DatabaseError("PaginateHelper: " + err.message,
+                {code: DatabaseError.VALIDATION});
+        }
+
+        order.push({sql: sql, desc: sort=="DESC"});
+    }
+
+    return order;
+}
+function buildKeysetWhere(order, values, backward) {
+    var directions = order.map(function(column) {
+        return column.desc != backward;
+    });
+
+    //compare as a row when every column is sorted the same way: (a,b) > (?,?)
+    if (directions.every(function(desc) { return desc == directions[0]; })) {
+        return {
+            sql: "(" + order.map(function(column) { return column.sql; }).join(",") + ")" +
+                (directions[0] ? " < " : " > ") +
+                "(" + order.map(function() { return "?"; }).join(",") + ")",
+            paras: values.slice()
+        };
+    }
+
+    //otherwise: a > ? OR (a = ? AND b < ?) OR ..
+    var conditions = [];
+    var paras = [];
+    for (let i=0; i<order.length; i++) {
+        let parts = [];
+        for (let j=0; j<i; j++) {
+            parts.push(order[j].sql + " = ?");
+            paras.push(values[j]);
+        }
+        parts.push(order[i].sql + (directions[i] ? " < ?" : " > ?"));
+        paras.push(values[i]);
+
+        conditions.push("(" + parts.join(" AND ") + ")");
+    }
+
+    return {sql: "(" + conditions.join(" OR ") + ")", paras: paras};
+}
+function encodeCursor(values, backward) {
+    var json = JSON.stringify({b: backward, v: values});
+
+    return Buffer.from(json).toString("base64")
+        .replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+function decodeCursor(cursor, count) {
+    var decoded = null;
+    try {
+        decoded = JSON.parse(Buffer.from(String(cursor), "base64").toString());
+    } catch (err) {
+        decoded = null;
+    }
+
+    if (!isObject(decoded) || !Array.isArray(decoded.v) || decoded.v.length!=count)
+        throw new DatabaseError("PaginateHelper: Invalid cursor.",
+            {code: DatabaseError.VALIDATION});
+
+    return {values: decoded.v, backward: decoded.b===true};
+}
+function buildReturning(returning, paras) {
+    if (returning==null)
+        return "";
+
+    return " RETURNING " + buildSelectColumns(returning, paras).join(",");
+}
+function buildWith(cte, recursive, paras) {
+    var queries = [];
+
+    //object of names and statements (ie: {recent: db.buildSelect({..})})
+    if (isObject(cte) && !Array.isArray(cte)) {
+        let list = [];
+        for (let name in cte) {
+            if (cte.hasOwnProperty(name))
+                list.push({name: name, query: cte[name]});
+        }
+        cte = list;
+    }
+
+    for (let item of cte) {
+        if (item==null || !(item.query instanceof RawSql))
+            throw new DatabaseError("With: query must be built with buildSelect or raw.",
+                {code: DatabaseError.VALIDATION});
+
+        let sql = quoteAlias(item.name);
+        if (item.columns!=null)
+            sql += " (" + quoteIdentifiers(item.columns).join(",") + ")";
+
+        sql += " AS (" + item.query.sql + ")";
+        Array.prototype.push.apply(paras, item.query.paras);
+
+        queries.push(sql);
+    }
+
+    return "WITH " + (recursive ? "RECURSIVE " : "") + queries.join(", ");
+}
+function buildCopyOptions(options) {
+    if (options==null)
+        return "";
+
+    var list = [];
+
+    if (options.format!=null) {
+        let format = String(options.format).trim().toLowerCase();
+        if (format!="text" && format!="csv")
+            throw new DatabaseError("Invalid format: " + JSON.stringify(options.format),
+                {code: DatabaseError.VALIDATION});
+
+        list.push("FORMAT " + format);
+    }
+
+    if (options.header)
+        list.push("HEADER true");
+
+    if (options.delimiter!=null) {
+        if (typeof options.delimiter != "string" || options.delimiter.length!=1)
+            throw new DatabaseError("Delimiter must be a single character.",
+                {code: DatabaseError.VALIDATION});
+
+        list.push("DELIMITER " + quoteLiteral(options.delimiter));
+    }
+
+    if (options.null!=null)
+        list.push("NULL " + quoteLiteral(String(options.null)));
+
+    if (list.length==0)
+        return "";
+
+    return " WITH (" + list.join(", ") + ")";
+}
+function quoteLiteral(str) {
+    //backslashes are escaped with E'' strings
+    if (str.indexOf("\\") != -1)
+        return "E'" + str.replace(/\\/g, "\\\\").replace(/'/g, "''") + "'";
+
+    return "'" + str.replace(/'/g, "''") + "'";
+}
+function runCopy(db, sql, copy, streams, cb) {
+    db.resultCount = 0;
+
+    //Check if database connection is open.
+    if (db.client==null) {
+        let err = new DatabaseError("Database Connection is not open.",
+            {code: DatabaseError.NOT_CONNECTED});
+        db.log("error", err.message, {error: err});
+
+        //release the source, nothing will read it
+        if (streams[0] !== copy)
+            streams[0].destroy();
+
+        cb(err);
+        return;
+    }
+
+    //get the stack from the scope of method call
+    var stack = new Error().stack;
+
+    var querystart = timeStart();
+
+    db.client.query(copy);
+
+    stream.pipeline(streams, function(err) {
+        var elapsed = timeEnd(querystart);
+
+        if (err) {
+            let errObj = DatabaseError.from(err, {
+                stack: stack,
+                sql: sql
+            }, "Unspecified Database Copy Error.");
+
+            db.log("error", "Database Error (" + elapsed + "s): ", {
+                sql: sql,
+                duration: Number(elapsed),
+                error: errObj
+            });
+
+            cb(errObj);
+            return;
+        }
+
+        db.resultCount = copy.rowCount;
+
+        db.log("debug", "Query completed in " + elapsed + " seconds.", {
+            sql: sql,
+            duration: Number(elapsed),
+            rowCount: copy.rowCount
+        });
+
+        cb(null, copy.rowCount);
+    });
+}
+function buildJoins(joins, paras) {
+    var sql = "";
+
+    if (!Array.isArray(joins))
+        joins = [joins];
+
+    for (let join of joins) {
+
+        let type = String(join.type || "inner").trim().toUpperCase();
+        if (joinTypes.indexOf(type) == -1)
+            throw new DatabaseError("Invalid join type: " + JSON.stringify(join.type),
+                {code: DatabaseError.VALIDATION});
+
+        sql += " " + type + " JOIN " + quoteIdentifier(join.table, paras);
+        if (join.alias!=null)
+            sql += " " + quoteAlias(join.alias);
+
+        if (join.on==null)
+            throw new DatabaseError("Join on option is required.",
+                {code: DatabaseError.VALIDATION});
+
+        let on = join.on;
+        if (isObject(on) && !(on.hasOwnProperty("sql") && on.hasOwnProperty("paras"))) {
+
+            //object of columns to match (ie: {"o.user_id":"u.id"})
+            let onSQL = [];
+            for (let key in on) {
+                if (on.hasOwnProperty(key))
+                    onSQL.push(quoteIdentifier(key) + " = " + quoteIdentifier(on[key]));
+            }
+            sql += " ON " + onSQL.join(" AND ");
+
+        } else {
+
+            let built = buildWhere(on, join.onParas);
+            if (built.error)
+                throw built.error;
+
+            sql += " ON " + built.sql;
+            Array.prototype.push.apply(paras, built.paras);
+        }
+    }
+
+    return sql;
+}
+function getClientConfig(config) {
+    var clientConfig = {
+        host: config.host,
+        database: config.database,
+        user: config.username,
+        password: config.password
+    };
+    if (config.port)
+        clientConfig.port = config.port;
+
+    //connection options passed on to pg as is
+    for (let key of clientOptions) {
+        if (config[key]!=null)
+            clientConfig[key] = config[key];
+    }
+
+    return clientConfig;
+}
+function quoteName(name) {
+    return '"' + String(name).replace(/"/g, '""') + '"';
+}
+function getQueryOptions(options) {
+    if (options.name==null && options.prepare==null && options.timeout==null &&
+        options.signal==null)
+        return null;
+
+    return {
+        name: options.name,
+        prepare: options.prepare,
+        timeout: options.timeout,
+        signal: options.signal
+    };
+}
+function getUserQueryOptions(options) {
+    //only statements of the application are prepared by the prepareStatements config,
+    //not the ones the library runs itself (ie: transactions and cursors)
+    return Object.assign({}, options, {autoPrepare: true});
+}
+function getStatementName(sql, options, config) {
+    if (options!=null && options.name!=null)
+        return String(options.name);
+
+    var prepare = options!=null && options.autoPrepare ? config.prepareStatements : false;
+    if (options!=null && options.prepare!=null)
+        prepare = options.prepare;
+
+    if (!prepare)
+        return null;
+
+    //same statement, same name, on every connection
+    return "postgresjs_" + crypto.createHash("sha1").update(sql).digest("hex");
+}
+function readMigrationFiles(directory) {
+    var byVersion = {};
+
+    for (let filename of fs.readdirSync(directory).sort()) {
+        let match = /^(\d+)_(.+?)(\.(up|down))?\.sql$/.exec(filename);
+        if (match==null)
+            continue;
+
+        let version = match[1];
+        let direction = match[4] || "up";
+
+        let file = byVersion[version];
+        if (file==null)
+            file = byVersion[version] = {version: version, name: match[2], up: null, down: null, checksum: null};
+
+        if (file.name!=match[2] || file[direction]!=null)
+            throw new DatabaseError("Migrator: Version " + version + " is used by more than one migration.",
+                {code: DatabaseError.MIGRATION});
+
+        file[direction] = fs.readFileSync(path.join(directory, filename), "utf8");
+        if (direction == "up")
+            file.checksum = crypto.createHash("sha256").update(file.up).digest("hex");
+    }
+
+    var files = [];
+    for (let version in byVersion) {
+        if (byVersion.hasOwnProperty(version))
+            files.push(byVersion[version]);
+    }
+
+    return files.sort(function(a, b) {
+        return compareVersions(a.version, b.version);
+    });
+}
+function compareVersions(a, b) {
+    //versions are compared as numbers of any length (ie: "002" < "10")
+    a = a.replace(/^0+(?=\d)/, "");
+    b = b.replace(/^0+(?=\d)/, "");
+
+    if (a.length != b.length)
+        return a.length - b.length;
+
+    return a < b ? -1 : (a > b ? 1 : 0);
+}
+function runMigrations(db, files, direction, fnMigrate, cb) {
+    var done = [];
+    var index = 0;
+
+    function nextMigration() {
+        if (index >= files.length) {
+            cb(null, done);
+            return;
+        }
+
+        let file = files[index++];
+        let started = timeStart();
+
+        let migrate = function(next) {
+            db.transaction(function(db, next) {
+                fnMigrate(db, file, next);
+            }, next);
+        };
+
+        //statements such as CREATE INDEX CONCURRENTLY can not run in a transaction
+        if (noTransactionHeader.test(file[direction])) {
+            migrate = function(next) {
+                fnMigrate(db, file, next);
+            };
+        }
+
+        migrate(function(err) {
+            if (err) {
+                db.log("error", "Migration " + file.version + "_" + file.name + " (" + direction +
+                    ") failed: " + err.message, {version: file.version, error: err});
+                cb(err, done);
+                return;
+            }
+
+            let elapsed = timeEnd(started);
+            db.log("info", "Migration " + file.version + "_" + file.name + " (" + direction +
+                ") completed in " + elapsed + " seconds.", {version: file.version, duration: Number(elapsed)});
+
+            done.push({version: file.version, name: file.name});
+            nextMigration();
+        });
+    }
+    nextMigration();
+}
+function runMerge(db, sqlInsert, parasInsert, sqlUpdate, parasUpdate, insertOptions, updateOptions, cb) {
+    var stack = new Error().stack;
+    var loopCount = 0;
+
+    function doLoop() {
+        loopCount++;
+        if (loopCount > 10) {
+            let err = new DatabaseError("Database Merge exceeded iteration limit", {
+                code: DatabaseError.MERGE_LIMIT,
+                stack: stack,
+                sqlInsert: sqlInsert,
+                sqlUpdate: sqlUpdate,
+                parasInsert: parasInsert,
+                parasUpdate: parasUpdate
+            });
+            db.log("error", err.message, {sql: sqlInsert, paras: parasInsert, error: err});
+            cb(err);
+            return;
+        }
+
+        //attempt to update the record
+        db.execute(sqlUpdate, parasUpdate, updateOptions, function(err, rows, result) {
+            if (err) {
+                cb(err);
+                return;
+            }
+
+            if (result.rowCount > 0) {
+                cb(null, "update");
+                return;
+            }
+
+            db.execute(sqlInsert, parasInsert, insertOptions, function(err, rows, result) {
+                //row was inserted by someone else since the update? let's try that one again
+                if (err && err.isUniqueViolation()) {
+                    doLoop();
+                    return;
+                }
+
+                if (err) {
+                    cb(err);
+                    return;
+                }
+
+                if (result.rowCount > 0) {
+                    cb(null, "insert");
+                    return;
+                }
+
+                //we shouldn't get to this point, so... Let's loop again!
+                doLoop();
+            });
+        });
+    }
+    doLoop();
+}
+function escapeQMarks(sql) {
+    //question-marks in migration files are operators, not parameters
+    return scanSql(sql, function(tok) {
+        if (tok.type == "question")
+            return "??";
+        if (tok.type == "escaped")
+            return "????";
+        return null;
+    });
+}
+function cancelQuery(db, active, reason, cb) {
+    //the query already completed or is being canceled
+    if (db.activeQuery!==active || active.canceling!=null) {
+        cb(null, false);
+        return;
+    }
+    active.canceling = reason;
+    db.cancelsPending++;
+
+    db.log("warn", (reason == "timeout" ? "Query timed out" : "Query canceled") +
+        ", canceling backend " + active.processId + ".", {processId: active.processId});
+
+    var clientConfig = getClientConfig(db.config || dbConfig.config);
+    //end() waits for the cancel, so it may not wait forever on the connection
+    if (clientConfig.connectionTimeoutMillis==null)
+        clientConfig.connectionTimeoutMillis = 10000;
+
+    var client = new pg.Client(clientConfig);
+    client.on("error", function() {});
+
+    client.connect(function(err) {
+        if (err) {
+            failed(DatabaseError.from(err, null, "Unable to open cancel connection."));
+            return;
+        }
+
+        client.query("SELECT pg_cancel_backend($1) AS canceled;", [active.processId],
+            function(err, result) {
+                client.end();
+
+                if (err) {
+                    failed(DatabaseError.from(err));
+                    return;
+                }
+                if (!result.rows[0].canceled) {
+                    failed(new DatabaseError("Backend " + active.processId + " was not found."));
+                    return;
+                }
+
+                active.canceled = reason;
+                done(null, true);
+            });
+    });
+
+    function failed(err) {
+        db.log("error", "Unable to cancel query: " + err.message, {error: err});
+
+        //close the connection instead, the pool replaces it
+        if (db.activeQuery===active) {
+            active.canceled = reason;
+            active.client.end();
+        }
+        done(err, false);
+    }
+
+    function done(err, canceled) {
+        db.cancelsPending--;
+        if (db.cancelsPending==0 && db.onCancelsDone!=null) {
+            let fn = db.onCancelsDone;
+            db.onCancelsDone = null;
+            fn();
+        }
+        cb(err, canceled);
+    }
+}
+function deallocate(client, names, cb) {
+    if (names.length==0) {
+        cb();
+        return;
+    }
+
+    var name = names.shift();
+    client.query("DEALLOCATE " + quoteName(name) + ";", function() {
+        deallocate(client, names, cb);
+    });
+}
+function getConnectionString(config) {
+    return "postgres://"+config.username+":"+config.password+"@" +
+        config.host+(config.port ? ":"+config.port : "")+"/"+config.database;
+}
+function getPoolKey(config) {
+    //instances share a pool only if they ask for the same limits
+    return getConnectionString(config) + "#" + [config.max, config.min,
+        config.idleTimeoutMillis, config.acquireTimeoutMillis].join(",");
+}
+function useCallbackHandlers(cls) {
+    //handles callbacks, suspend.resume and Promises the same way as Postgresjs
+    for (let name of ["usePromise", "promiseCall", "initHandleCallback", "handleCallback"]) {
+        cls.prototype[name] = Postgresjs.prototype[name];
+    }
+}
+function parseTransactionOptions(options) {
+    var out = {modes: "", settings: [], retry: null, error: null};
+    if (options==null)
+        return out;
+
+    var modes = [];
+
+    if (options.isolationLevel!=null) {
+        let level = String(options.isolationLevel).trim().toUpperCase().replace(/[_\-\s]+/g, " ");
+        if (isolationLevels.indexOf(level) == -1) {
+            out.error = new DatabaseError("Transaction: Unknown isolation level: " + options.isolationLevel,
+                {code: DatabaseError.VALIDATION});
+            return out;
+        }
+        modes.push("ISOLATION LEVEL " + level);
+    }
+
+    if (options.readOnly!=null) {
+        if (typeof options.readOnly !== "boolean") {
+            out.error = new DatabaseError("Transaction: readOnly option must be true or false.",
+                {code: DatabaseError.VALIDATION});
+            return out;
+        }
+        modes.push(options.readOnly ? "READ ONLY" : "READ WRITE");
+    }
+
+    if (options.deferrable!=null) {
+        if (typeof options.deferrable !== "boolean") {
+            out.error = new DatabaseError("Transaction: deferrable option must be true or false.",
+                {code: DatabaseError.VALIDATION});
+            return out;
+        }
+        modes.push(options.deferrable ? "DEFERRABLE" : "NOT DEFERRABLE");
+    }
+
+    if (modes.length > 0)
+        out.modes = " " + modes.join(", ");
+
+    if (options.settings!=null) {
+        if (!isObject(options.settings)) {
+            out.error = new DatabaseError("Transaction: settings option must be an object.",
+                {code: DatabaseError.VALIDATION});
+            return out;
+        }
+
+        for (let name in options.settings) {
+            if (!options.settings.hasOwnProperty(name)) continue;
+
+            let value = options.settings[name];
+            if (!/^[a-z_][a-z0-9_]*(\.[a-z_][a-z0-9_]*)?$/i.test(name) || value==null || isObject(value)) {
+                out.error = new DatabaseError("Transaction: Invalid setting: " + name,
+                    {code: DatabaseError.VALIDATION});
+                return out;
+            }
+            out.settings.push([name, String(value)]);
+        }
+    }
+
+    if (options.retry!=null && options.retry!==false) {
+        let retry = options.retry === true ? {} : options.retry;
+        if (!isObject(retry)) {
+            out.error = new DatabaseError("Transaction: retry option must be an object or true.",
+                {code: DatabaseError.VALIDATION});
+            return out;
+        }
+
+        out.retry = {
+            maxAttempts: retry.maxAttempts!=null ? retry.maxAttempts : 3,
+            baseDelay: retry.baseDelay!=null ? retry.baseDelay : 50,
+            maxDelay: retry.maxDelay!=null ? retry.maxDelay : 2000,
+            retryOn: retry.retryOn || ["40001", "40P01"],
+            onRetry: retry.onRetry || null
+        };
+
+        if (!(out.retry.maxAttempts >= 1) || !(out.retry.baseDelay >= 0) ||
+            !(out.retry.maxDelay >= 0) || !Array.isArray(out.retry.retryOn)) {
+            out.error = new DatabaseError("Transaction: Invalid retry option.",
+                {code: DatabaseError.VALIDATION});
+            return out;
+        }
+    }
+
+    return out;
+}
+function applyTransactionSettings(db, settings, cb) {
+    if (settings.length == 0) {
+        cb(null);
+        return;
+    }
+
+    //set_config with is_local=true is the parameterized form of SET LOCAL
+    var calls = [];
+    var paras = [];
+    for (let setting of settings) {
+        calls.push("set_config(?,?,true)");
+        paras.push(setting[0], setting[1]);
+    }
+
+    db.execute("SELECT " + calls.join(",") + ";", paras, function(err) {
+        cb(err);
+    });
+}
+function runTransactionBody(db, fn, cb) {
+    var callbackStyle = fn.length >= 2;
+    if (isGeneratorFunction(fn)) {
+        fn = suspend.callback(fn);
+        callbackStyle = true;
+    }
+
+    var finished = false;
+    function done(err, result) {
+        if (finished) return;
+        finished = true;
+        cb(err || null, result);
+    }
+
+    var ret;
+    try {
+        ret = fn(db, done);
+    } catch (err) {
+        done(err);
+        return;
+    }
+
+    if (ret!=null && typeof ret.then === "function") {
+        ret.then(function(result) {
+            done(null, result);
+        }, function(err) {
+            done(err || new DatabaseError("Transaction was rolled back.",
+                {code: DatabaseError.TRANSACTION_ROLLED_BACK}));
+        });
+    } else if (!callbackStyle) {
+        done(null, ret);
+    }
+}
+function isGeneratorFunction(fn) {
+    return fn.constructor!=null && fn.constructor.name == "GeneratorFunction";
+}
+function getTimestamp() {
+    var now = new Date();
+    return formatDateTime(now);
+}
+function formatDateTime(str) {
+    var input = new Date(str);
+    return ""+(input.getFullYear())+"-"+pad(input.getMonth()+1,2,'0')+"-"+pad(input.getDate(),2,'0')+" "+pad(input.getHours(),2,'0')+":"+pad(input.getMinutes(),2,'0')+":"+pad(input.getSeconds(),2,'0');
+}
+function generateToken(length,dict) {
+    var found = false;
+    var token = "";
+    while (!found) {
+        token = generateRandomString(length);
+        if (dict==null || (dict!=null && !dict.has(token))) {
+            found = true;
+        }
+    }
+    return token;
+}
+function generateRandomString(L){
+    var s= '';
+    var randomchar=function(){
+        var n= Math.floor(Math.random()*62);
+        if(n<10) return n; //1-10
+        if(n<36) return String.fromCharCode(n+55); //A-Z
+        return String.fromCharCode(n+61); //a-z
+    }
+    while(s.length< L) s+= randomchar();
+    return s;
+}
+function pad(n, width, z) {
+    z = z || '0';
+    n = n + '';
+    return n.length >= width ? n : new Array(width - n.length + 1).join(z) + n;
+}
+
+function timeStart() {
+    return process.hrtime();
+}
+function timeEnd(start) {
+    return (process.hrtime(start)[1] / 1000000000).toFixed(5);
+}
+
+function removeLastChara(str) {
+    return str.substr(0,str.length-1);
+}
+
+function replaceAll(str,strFind, strWith) {
+    var reg = new RegExp(strFind, 'ig');
+    return str.replace(reg, strWith);
+}
+function isObject(val) {
+    if (Array.isArray(val)) return false;
+    if (val === null) { return false;}
+    return ( (typeof val === 'function') || (typeof val === 'object') );
+}
+
+
+function getTimeDiff(ts,unit) {
+    var now = getTimestamp();
+    if (ts==null || now==null || ts=="" || now=="") return 0;
+    var lastDate = new Date(ts);
+    var nowDate = new Date(now);
+
+    var diff = (nowDate-lastDate);
+
+    switch (unit) {
+        case "milliseconds":
+        case "millisecond":
+        case "ms":
+            return diff;
+            break;
+        case "sec":
+        case "s":
+        case "second":
+        case "seconds":
+            return diff/1000;
+            break;
+        case "min":
+        case "m":
+        case "minutes":
+        case "minute":
+            return diff/1000/60;
+            break;
+        case "hour":
+        case "h":
+        case "hours":
+            return diff/1000/60/60;
+            break;
+        case "days":
+        case "day":
+        case "d":
+            return diff/1000/60/60/24;
+            break;
+    }
+
+    return 0;
+}
+
+//##########################################################################
+//  Imports
+//##########################################################################
+
+var Dictionary = require('dictionaryjs');
+var crypto = require('crypto');
+var fs = require('fs');
+var path = require('path');
+var pg = require('pg');
+var copyStreams = require('pg-copy-streams');
+var stream = require('stream');
+var suspend = require("suspend");
+
+//global variable
+var dbConfig = {config:null};
+var typeSettings = {types:null};
+var dictTokens = new Dictionary();
+var openConnections = new Dictionary();
+var sharedPools = new Dictionary();
+
+var isolationLevels = ["READ UNCOMMITTED", "READ COMMITTED", "REPEATABLE READ", "SERIALIZABLE"];
+var joinTypes = ["INNER", "LEFT", "RIGHT", "FULL"];
+var aggregateFunctions = ["count", "sum", "avg", "min", "max"];
+
+//config values passed on to the pg clients
+var clientOptions = ["ssl", "connectionTimeoutMillis", "keepAlive", "keepAliveInitialDelayMillis",
+    "application_name", "options"];
+
+//limit of parameters in a single statement
+var maxParameters = 65535;
+
+//used with a random part to name the cursors, so they do not collide with
+//cursors declared by other processes or by the application
+var cursorCounter = 0;
+
+//types of each database by connection string, loaded on first use
+var typeCatalogs = new Dictionary();
+var typeParserCache = new WeakMap();
+//overflows of the query whose row is being parsed
+var typeErrors = null;
+
+//migrations are not prepared, may contain several statements, and run as long as they need
+var migrationQueryOptions = {prepare: false, timeout: 0};
+//first line of a migration file that runs without a transaction
+var noTransactionHeader = /^\s*--\s*no-transaction[ \t]*(\r?\n|$)/;
+
+//flags used by whereHelper keys (ie: "age -gte" or "age >=")
+var whereOperators = {
+    "=": "=", "eq": "=",
+    "!=": "!=", "<>": "!=", "not": "!=",
+    ">": ">", "gt": ">",
+    ">=": ">=", "gte": ">=",
+    "<": "<", "lt": "<",
+    "<=": "<=", "lte": "<=",
+    "like": "LIKE", "notlike": "NOT LIKE",
+    "ilike": "ILIKE", "notilike": "NOT ILIKE",
+    "in": "IN", "notin": "NOT IN",
+    "between": "BETWEEN", "notbetween": "NOT BETWEEN",
+    "null": "IS NULL", "notnull": "IS NOT NULL",
+    "distinct": "IS DISTINCT FROM", "notdistinct": "IS NOT DISTINCT FROM"
+};
+
+//##########################################################################
+// Logging
+//##########################################################################
+
+var logLevels = {debug: 0, info: 1, warn: 2, error: 3, silent: 4};
+
+var consoleLogger = {
+    debug: function(message) {
+        console.log(message);
+    },
+    info: function(message) {
+        console.log(message);
+    },
+    warn: function(message, fields) {
+        if (fields && fields.error)
+            console.error(message, fields.error);
+        else
+            console.error(message);
+    },
+    error: function(message, fields) {
+        if (fields && fields.error)
+            console.error(message, fields.error);
+        else
+            console.error(message);
+    }
+};
+
+var silentLogger = {
+    debug: function() {},
+    info: function() {},
+    warn: function() {},
+    error: function() {}
+};
+
+var logSettings = {logger: consoleLogger, level: "debug"};
+
+function writeLog(logger, minLevel, level, message, fields) {
+    if (logLevels[level] < logLevels[minLevel])
+        return;
+
+    logger[level](message, fields || {});
+}
+
+var auto_closer_enabled = false;
+var auto_closer_minutes = 3;
+var auto_closer_interval;
+
+//##########################################################################
+// Pool
+//##########################################################################
+
+/**
+ * @class
+ * <p>A pool of database connections that hands out {@link Postgresjs} instances.</p>
+ * <p>Instances that are started without a pool share one Pool per connection
+ * string and pool options, created from the global or local config. Create your
+ * own Pool when you need separate limits.</p>
+ *
+ * <h4>Example:</h4>
+ * <pre>
+ *   var pool = new Postgresjs.Pool({
+ *      host:"127.0.0.1", database:"schema_name",
+ *      username:"db_username", password:"db_password",
+ *      max:20, idleTimeoutMillis:30000, acquireTimeoutMillis:5000
+ *   });
+ *   pool.setResume(suspend.resume);
+ *
+ *   suspend(function*() {
+ *      let db = yield pool.acquire();
+ *      yield db.query("select 1;");
+ *      yield db.end();
+ *
+ *      console.log(pool.stats);
+ *   })();
+ * </pre>
+ */
+class Pool {
+
+    /**
+     * @param {Object} [config=null] - Connection config, same as dbConfig.json.
+     *          Uses the global config if null. Pool options:
+     * @param {int} [config.max=10] - Maximum number of clients.
+     * @param {int} [config.min=0] - Minimum number of idle clients to keep.
+     * @param {int} [config.idleTimeoutMillis=30000] - Time a client may sit idle before it is closed.
+     * @param {int} [config.acquireTimeoutMillis=30000] - Time to wait for a client when the
+     *          pool is exhausted before returning an error, or 0 to wait forever.
+     */
+    constructor(config) {
+
+        this.config = config || dbConfig.config;
+        this.resume = null;
+        this.resume_next = null;
+        this.last_error = null;
+        this._throwErrors = true;
+
+        this.acquired = new Dictionary();
+        this.waitingCount = 0;
+
+        let poolConfig = getClientConfig(this.config);
+        poolConfig.max = this.config.max || 10;
+        poolConfig.min = this.config.min || 0;
+        poolConfig.idleTimeoutMillis = this.config.idleTimeoutMillis!=null ?
+            this.config.idleTimeoutMillis : 30000;
+
+        this.pgPool = new pg.Pool(poolConfig);
+
+        //idle clients that lose their connection emit errors on the pool
+        this.pgPool.on("error", function(err) {
+            writeLog(logSettings.logger, logSettings.level, "error",
+                "Idle database connection error:", {error: err});
+        });
+    }
+
+    /**
+     * Returns the shared pool for the given config, creating it if needed.
+     * @param {Object} config
+     * @returns {Pool}
+     */
+    static forConfig(config) {
+        let key = getPoolKey(config);
+
+        let pool = sharedPools.get(key);
+        if (pool==null) {
+            pool = new Pool(config);
+            sharedPools.set(key, pool);
+        }
+        return pool;
+    }
+
+    /**
+     * Sets the resume reference given to the instances handed out by
+     * {@link Pool#acquire}. See {@link Postgresjs#setResume}.
+     * @param {Function} resume
+     *      set to suspend.resume, set to null to disable
+     */
+    setResume(resume) {
+        this.resume = resume;
+    }
+
+    /**
+     * Disabling throwErrors will stop suspend from throwing errors on the callbacks
+     * of this pool and returned Promises from rejecting (check {@link Pool#error} instead).
+     * This is enabled by default. Does not change the instances handed out by
+     * {@link Pool#acquire}.
+     * @param {Boolean} value
+     */
+    set throwErrors(value) {
+        this._throwErrors = value;
+    }
+
+    /**
+     * Returns an error object from the last call on this pool.
+     * @returns Error object or null if no error
+     */
+    error() {
+        return this.last_error;
+    }
+
+    /**
+     * Returns a started {@link Postgresjs} instance using a client from this pool.
+     * You must call end() on the instance to release the client.
+     * @param {Postgresjs~cbOnAcquire} [cb=null] - Use callback or leave null to use suspend.resume.
+     *                  <br>Returns cb(err,db)
+     */
+    acquire(cb) {
+        let db = new Postgresjs(this.resume, this.config);
+        db.setPool(this);
+        return db.start(cb);
+    }
+
+    /**
+     * @description Returns live pool stats:
+     * <pre>
+     *     {
+     *         total: 4,       //clients currently open
+     *         idle: 1,        //open clients not in use
+     *         waiting: 0,     //requests waiting for a client
+     *         acquired: [     //instances holding a client
+     *             {guid:"a1B2c3", opened:"2016-11-27 12:00:00", stack:"Error\n at .."}
+     *         ]
+     *     }
+     * </pre>
+     */
+    get stats() {
+        let acquired = [];
+        this.acquired.forEach(function(guid,db) {
+            acquired.push({
+                guid: guid,
+                opened: db.opened,
+                stack: db.start_stack
+            });
+        });
+
+        let total = acquired.length;
+        let idle = 0;
+
+        //pg-pool 2+ exposes counts directly, older versions through generic-pool
+        if (this.pgPool.totalCount!=null) {
+            total = this.pgPool.totalCount;
+            idle = this.pgPool.idleCount;
+        } else if (this.pgPool.pool!=null && this.pgPool.pool.getPoolSize) {
+            total = this.pgPool.pool.getPoolSize();
+            idle = this.pgPool.pool.availableObjectsCount();
+        }
+
+        return {
+            total: total,
+            idle: idle,
+            waiting: this.waitingCount,
+            acquired: acquired
+        };
+    }
+
+    /**
+     * Internal method. You should not call this directly.
+     * ----------------
+     * Gets a pg client from the pool, giving up after acquireTimeoutMillis.
+     * @ignore
+     */
+    connectClient(cb) {
+        var self = this;
+        var timedOut = false;
+        var timer = null;
+
+        self.waitingCount++;
+
+        let timeout = self.config.acquireTimeoutMillis!=null ?
+            self.config.acquireTimeoutMillis : 30000;
+        if (timeout > 0) {
+            timer = setTimeout(function() {
+                timedOut = true;
+                self.waitingCount--;
+                cb(new DatabaseError("Timed out after " + timeout +
+                    " ms waiting for a database connection from the pool.",
+                    {code: DatabaseError.ACQUIRE_TIMEOUT}));
+            }, timeout);
+        }
+
+        self.pgPool.connect(function(err, client, done) {
+            if (timedOut) {
+                //nobody is waiting for this client anymore
+                if (!err) done();
+                return;
+            }
+
+            if (timer!=null)
+                clearTimeout(timer);
+            self.waitingCount--;
+
+            cb(err, client, done);
+        });
+    }
+
+    /**
+     * Closes all clients in the pool. Instances still holding a client
+     * should be ended first.
+     * @param {Postgresjs~cbOnError} [cb=null] - Use callback or leave null to use suspend.resume.
+     *                  <br>Returns cb(err)
+     */
+    end(cb) {
+        if (this.usePromise(cb))
+            return this.promiseCall(this.end, []);
+
+        var self = this;
+        self.initHandleCallback();
+
+        sharedPools.forEach((key, pool) => {
+            if (pool === self)
+                sharedPools.remove(key);
+        });
+
+        self.pgPool.end(function(err) {
+            self.handleCallback(cb, err ? DatabaseError.from(err) : null);
+        });
+    }
+}
+useCallbackHandlers(Pool);
+
+//##########################################################################
+// Migrations
+//##########################################################################
+
+/**
+ * @class
+ * <p>Applies the versioned .sql files of a directory, keeping track of the applied
+ * versions and their checksums in a table (schema_migrations by default).</p>
+ * <p>Files are named version_name.up.sql and version_name.down.sql, where version is a
+ * number (ie: 20240115093000_create_users.up.sql). A version_name.sql file is an up
+ * migration without a down migration.</p>
+ * <p>Each migration runs in a transaction, unless its file starts with the line
+ * "-- no-transaction", and an advisory lock keeps two migrators from running at the
+ * same time. Applied migrations whose up file was changed stop the migrator with a
+ * {@link DatabaseError.MIGRATION} error.</p>
+ * <h4>Example:</h4>
+ * <pre>
+ *   var migrator = new Postgresjs.Migrator({directory: __dirname + "/migrations"});
+ *   migrator.setResume(suspend.resume);
+ *
+ *   suspend(function*() {
+ *      let applied = yield migrator.up();
+ *      //Output example: [{version:"20240115093000", name:"create_users"}]
+ *   })();
+ * </pre>
+ */
+class Migrator {
+
+    /**
+     * @param {Object} options - Required. See properties:
+     * @param {String} options.directory - Directory of the migration files.
+     * @param {String} [options.table="schema_migrations"] - Table of the applied migrations,
+     *          may include the schema (ie: public.schema_migrations).
+     * @param {Object} [options.config=null] - Connection config, same as dbConfig.json.
+     *          Uses the global config if null.
+     */
+    constructor(options) {
+        if (options==null || !options.directory)
+            throw new DatabaseError("Migrator: Directory option is required.",
+                {code: DatabaseError.VALIDATION});
+
+        this.directory = options.directory;
+        this.table = options.table || "schema_migrations";
+        this.config = options.config || null;
+        this.resume = null;
+        this.resume_next = null;
+        this.last_error = null;
+        this._throwErrors = true;
+    }
+
+    /**
+     * Sets the resume reference used when the callbacks are left null.
+     * See {@link Postgresjs#setResume}.
+     * @param {Function} resume
+     *      set to suspend.resume, set to null to disable
+     */
+    setResume(resume) {
+        this.resume = resume;
+    }
+
+    /**
+     * Disabling throwErrors will stop suspend from throwing errors on callbacks
+     * and returned Promises from rejecting (check {@link Migrator#error} instead).
+     * This is enabled by default.
+     * @param {Boolean} value
+     */
+    set throwErrors(value) {
+        this._throwErrors = value;
+    }
 
-            tempValues = values;
+    /**
+     * Returns an error object from the last call on this migrator.
+     * @returns Error object or null if no error
+     */
+    error() {
+        return this.last_error;
+    }
+
+    /**
+     * Applies the pending migrations, in order of version.
+     * @param {Object} [options=null] - See properties:
+     * @param {String} [options.to=null] - Last version to apply, or null for all.
+     * @param {Boolean} [options.dryRun=false] - Only return the migrations that would be applied,
+     *          including their sql.
+     * @param {Postgresjs~cbOnMigrate} [cb=null] - Use callback or leave null to use suspend.resume.
+     *                  <br>Returns cb(err,migrations) where migrations are the applied migrations.
+     */
+    up(options, cb) {
+        if (typeof options === "function") {
+            cb = options;
+            options = null;
         }
+        if (this.usePromise(cb))
+            return this.promiseCall(this.up, [options]);
 
-        if (tempValues==null || tempColumns==null ||
-            tempColumns.length != tempValues.length) {
-            let err = new Error("UpdateHelper: Number of Columns and Values do not match.");
-            if (this._throwErrors)
-                throw err;
-            else
-                console.error(err);
+        options = options || {};
+        var self = this;
+        self.initHandleCallback();
 
-            return;
-        }
+        self.run(function(db, files, applied, done) {
+            var pending = [];
+            for (let file of files) {
+                if (!applied.hasOwnProperty(file.version) && file.up!=null &&
+                    (options.to==null || compareVersions(file.version, String(options.to)) <= 0))
+                    pending.push(file);
+            }
 
-        for (let column of tempColumns) {
-            sql += column+"=?,";
-        }
-        sql = removeLastChara(sql);
-        finalParas = tempValues;
+            if (options.dryRun) {
+                done(null, pending.map(function(file) {
+                    return {version: file.version, name: file.name, sql: file.up};
+                }));
+                return;
+            }
 
-        if (finalParas==null) finalParas = [];
+            var table = quoteIdentifier(self.table);
 
+            runMigrations(db, pending, "up", function(db, file, done) {
+                db.execute(escapeQMarks(file.up), null, migrationQueryOptions, function(err) {
+                    if (err) {
+                        done(err);
+                        return;
+                    }
 
+                    db.execute("INSERT INTO " + table + " (version, name, checksum) VALUES (?, ?, ?);",
+                        [file.version, file.name, file.checksum], migrationQueryOptions, done);
+                });
+            }, done);
 
-        if (where!=null) {
+        }, options.dryRun, function(err, migrations) {
+            self.handleCallback(cb, err, migrations);
+        });
+    }
 
-            if (isObject(where) &&
-                where.hasOwnProperty("sql") &&
-                where.hasOwnProperty("paras")
-            ) {
+    /**
+     * Reverts the applied migrations with their down files, latest version first.
+     * @param {Object} [options=null] - See properties:
+     * @param {int} [options.steps=1] - Number of migrations to revert.
+     * @param {String} [options.to=null] - Revert every migration after this version instead
+     *          (ie: "0" to revert all).
+     * @param {Boolean} [options.dryRun=false] - Only return the migrations that would be reverted,
+     *          including their sql.
+     * @param {Postgresjs~cbOnMigrate} [cb=null] - Use callback or leave null to use suspend.resume.
+     *                  <br>Returns cb(err,migrations) where migrations are the reverted migrations.
+     */
+    down(options, cb) {
+        if (typeof options === "function") {
+            cb = options;
+            options = null;
+        }
+        if (this.usePromise(cb))
+            return this.promiseCall(this.down, [options]);
+
+        options = options || {};
+        var self = this;
+        self.initHandleCallback();
 
-                sql += " WHERE " + where.sql;
-                Array.prototype.push.apply(finalParas,where.paras);
+        self.run(function(db, files, applied, done) {
+            var byVersion = {};
+            for (let file of files) {
+                byVersion[file.version] = file;
+            }
 
+            var versions = Object.keys(applied).sort(compareVersions).reverse();
+            if (options.to!=null) {
+                versions = versions.filter(function(version) {
+                    return compareVersions(version, String(options.to)) > 0;
+                });
             } else {
-                where = where.trim();
-                var lowerWhere =  where.toLowerCase();
-                if (lowerWhere.substr(0,5)=="where")
-                    where.substr(5);
+                versions = versions.slice(0, options.steps!=null ? options.steps : 1);
+            }
 
-                sql += " WHERE " + where;
-                Array.prototype.push.apply(finalParas,whereParas);
+            var reverting = [];
+            for (let version of versions) {
+                let file = byVersion[version];
+                if (file==null || file.down==null) {
+                    done(new DatabaseError("Migrator: Migration " + version + " has no down file.",
+                        {code: DatabaseError.MIGRATION}));
+                    return;
+                }
+                reverting.push(file);
+            }
 
+            if (options.dryRun) {
+                done(null, reverting.map(function(file) {
+                    return {version: file.version, name: file.name, sql: file.down};
+                }));
+                return;
             }
 
-        }
+            var table = quoteIdentifier(self.table);
 
-        sql += " ;";
+            runMigrations(db, reverting, "down", function(db, file, done) {
+                db.execute(escapeQMarks(file.down), null, migrationQueryOptions, function(err) {
+                    if (err) {
+                        done(err);
+                        return;
+                    }
 
-        this.query(sql,finalParas,cb);
+                    db.execute("DELETE FROM " + table + " WHERE version=?;", [file.version],
+                        migrationQueryOptions, done);
+                });
+            }, done);
 
+        }, options.dryRun, function(err, migrations) {
+            self.handleCallback(cb, err, migrations);
+        });
     }
 
     /**
-     * Delete Statement Helper
-     * <h4>Example:</h4>
-     * Deletes user record with the username "tester".
+     * Returns the migration files and the applied migrations, in order of version:
      * <pre>
-     *     //..
-     *     yield db.deleteHelper({
-     *          table: "users",
-     *          where: db.whereHelper({
-     *              "username":"tester"
-     *          })
-     *     });
-     *     //..
+     *     [{
+     *         version: "20240115093000",
+     *         name: "create_users",
+     *         applied: true,
+     *         appliedAt: Date,     //null if not applied
+     *         modified: false,     //up file changed after it was applied
+     *         missing: false,      //applied but its files are gone
+     *         down: true           //has a down file
+     *     }, ..]
      * </pre>
-     * @param {Object} options - Required. See properties:
-     * @param {String} options.table - Table name
-     * @param {String} [options.where=null] - where clause sql statement segment (ie: name=? OR id=? )
-     *                      <br>You may also use {@link Postgresjs#whereHelper}
-     * @param {Array} [options.whereParas=null] - Array of values to replace parameters in where SQL
-     *                      <br>Not needed if you use whereHelper.
-     * @param {int} [options.limit=null] - Number of records to delete, or null for infinite.
-     * @param {Postgresjs~cbOnError} [cb=null] - Use callback or leave null to use suspend.resume.
-     *                  <br>Returns cb(err)
+     * @param {Postgresjs~cbOnMigrate} [cb=null] - Use callback or leave null to use suspend.resume.
+     *                  <br>Returns cb(err,migrations)
      */
-    deleteHelper(options,cb) {
+    status(cb) {
+        if (this.usePromise(cb))
+            return this.promiseCall(this.status, []);
+
         var self = this;
+        self.initHandleCallback();
 
-        if (options==null) {
+        self.run(function(db, files, applied, done) {
+            var list = [];
+            var found = {};
+
+            for (let file of files) {
+                let row = applied[file.version] || null;
+                found[file.version] = true;
+                list.push({
+                    version: file.version,
+                    name: file.name,
+                    applied: row!=null,
+                    appliedAt: row!=null ? row.applied_at : null,
+                    modified: row!=null && file.up!=null && row.checksum!==file.checksum,
+                    missing: false,
+                    down: file.down!=null
+                });
+            }
 
-            let err = new Error("DeleteHelper: Options parameter required.");
-            if (this._throwErrors)
-                throw err;
-            else
-                console.error(err);
+            for (let version in applied) {
+                if (applied.hasOwnProperty(version) && !found[version]) {
+                    list.push({
+                        version: version,
+                        name: applied[version].name,
+                        applied: true,
+                        appliedAt: applied[version].applied_at,
+                        modified: false,
+                        missing: true,
+                        down: false
+                    });
+                }
+            }
 
-            return;
-        }
+            list.sort(function(a, b) {
+                return compareVersions(a.version, b.version);
+            });
 
-        var table = options.table;
-        var where = options.where;
-        var whereParas = options.whereParas;
-        var limit = options.limit;
+            done(null, list);
 
-        if (table == null) {
-            let err = new Error("DeleteHelper: Table option is required.");
-            if (this._throwErrors)
-                throw err;
-            else
-                console.error(err);
+        }, true, function(err, migrations) {
+            self.handleCallback(cb, err, migrations);
+        });
+    }
+
+    /**
+     * Internal method. You should not call this directly.
+     * ----------------
+     * Reads the migration files, opens a connection holding the advisory lock and
+     * loads the applied migrations before calling fn(db, files, applied, done).
+     * @ignore
+     */
+    run(fn, readOnly, cb) {
+        var self = this;
+        var files;
 
+        try {
+            files = readMigrationFiles(self.directory);
+        } catch (err) {
+            cb(DatabaseError.from(err, {code: DatabaseError.MIGRATION}));
             return;
         }
 
-        var sql = "DELETE FROM " + table + " ";
-        var finalParas = null;
+        var db = new Postgresjs(null, self.config);
+        var table = quoteIdentifier(self.table);
 
-        if (where!=null) {
+        //the same table is locked by every migrator
+        var lockKey = crypto.createHash("sha1").update("postgresjs:" + self.table).digest().readInt32BE(0);
+        var locked = false;
 
-            if (isObject(where) &&
-                where.hasOwnProperty("sql") &&
-                where.hasOwnProperty("paras")
-            ) {
+        db.start(function(err) {
+            if (err) {
+                cb(err);
+                return;
+            }
 
-                sql += " WHERE " + where.sql;
-                finalParas = where.paras;
+            //migrations may run longer than the auto closer allows
+            openConnections.remove(db.guid);
 
-            } else {
-                where = where.trim();
-                var lowerWhere =  where.toLowerCase();
-                if (lowerWhere.substr(0,5)=="where")
-                    where.substr(5);
+            //a dry run or status only reads, without waiting for running migrations
+            if (readOnly) {
+                loadTable();
+                return;
+            }
 
-                sql += " WHERE " + where;
-                finalParas = whereParas;
+            db.execute("SELECT pg_advisory_lock(?);", [lockKey], migrationQueryOptions, function(err) {
+                if (err) {
+                    finish(err);
+                    return;
+                }
+                locked = true;
+                loadTable();
+            });
+        });
 
-            }
+        function loadTable() {
+            db.execute("SELECT to_regclass(?) IS NOT NULL AS found;", [table], migrationQueryOptions,
+                function(err, rows) {
+                    if (err) {
+                        finish(err);
+                        return;
+                    }
 
+                    if (rows[0].found) {
+                        loadApplied();
+                    } else if (readOnly) {
+                        //nothing was applied yet, and a dry run or status does not create the table
+                        check({});
+                    } else {
+                        db.execute("CREATE TABLE " + table + " (" +
+                            "version varchar(255) PRIMARY KEY, " +
+                            "name varchar(255) NOT NULL, " +
+                            "checksum varchar(64) NOT NULL, " +
+                            "applied_at timestamptz NOT NULL DEFAULT now());", null, migrationQueryOptions,
+                            function(err) {
+                                if (err) {
+                                    finish(err);
+                                    return;
+                                }
+                                check({});
+                            });
+                    }
+                });
         }
 
-        if (limit!=null) {
-            sql += " LIMIT " + limit;
+        function loadApplied() {
+            db.execute("SELECT version, name, checksum, applied_at FROM " + table + ";", null,
+                Object.assign({types: null}, migrationQueryOptions), function(err, rows) {
+                    if (err) {
+                        finish(err);
+                        return;
+                    }
+
+                    let applied = {};
+                    for (let row of rows) {
+                        applied[row.version] = row;
+                    }
+                    check(applied);
+                });
         }
 
-        sql += " ;";
+        function check(applied) {
+            //applied migrations must not be changed, status reports them instead
+            if (!readOnly) {
+                for (let file of files) {
+                    let row = applied[file.version];
+                    if (row!=null && file.up!=null && row.checksum!==file.checksum) {
+                        finish(new DatabaseError("Migrator: Migration " + file.version + "_" + file.name +
+                            " was changed after it was applied.", {code: DatabaseError.MIGRATION}));
+                        return;
+                    }
+                }
+            }
+
+            fn(db, files, applied, finish);
+        }
 
-        this.query(sql,finalParas,cb);
+        function finish(err, result) {
+            if (!locked) {
+                end();
+                return;
+            }
+
+            db.execute("SELECT pg_advisory_unlock(?);", [lockKey], migrationQueryOptions, function(unlockErr) {
+                err = err || unlockErr;
+                end();
+            });
+
+            function end() {
+                db.end(function() {
+                    cb(err || null, err ? undefined : result);
+                });
+            }
+        }
     }
+}
+useCallbackHandlers(Migrator);
 
-    /**
-     * Helper function of Merge method.
-     * <p>Merge is a smart method that uses insert or update internally.
-     * See {@link Postgresjs#merge} for more information.</p>
-     * <h4>Example:</h4>
-     * Inserts a new user in the users table or updates their email if already found.
-     * <pre>
-     *     //..
-     *     yield db.mergeHelper({
-     *          table: "users",
-     *          columns: {
-     *              "username":"tester",
-     *              "email":"test@test.com"
-     *          },
-     *          where: db.whereHelper({
-     *              "username":"tester"
-     *          })
-     *     });
-     *     //..
-     * </pre>
-     * @param {Object} options - Required. See properties:
-     * @param {String} options.table - Table name
-     * @param {Array} options.columns - Array of column names to update, use with options.values property to specifiy values.
-     * @param {Object} options.columns - Or Object where keys are column names and values are values.
-     *                   Note: options.values property not needed.
-     * @param {Array} [options.values=null] - Array of values used with options.columns (Array) property.
-     * @param {String} [options.where=null] - where clause sql statement segment (ie: name=? OR id=? )
-     *                      <br>You may also use {@link Postgresjs#whereHelper}
-     * @param {Array} [options.whereParas=null] - Array of values to replace parameters in where SQL
-     *                      <br>Not needed if you use whereHelper.
-     * @param {Postgresjs~cbOnMerge} [cb=null] - Use callback or leave null to use suspend.resume.
-     *                  <br>Returns cb(err,result) where result is either "update" or "insert" depending on which operation was needed.
-     */
-    mergeHelper(options,cb) {
-        var self = this;
+//##########################################################################
+// Types
+//##########################################################################
 
-        if (options==null) {
-            let err = new Error("MergeHelper: Options parameter required.");
+//accepted values of each option in Postgresjs.types
+var typePresets = {
+    bigint: ["string", "number", "bigint"],
+    numeric: ["string", "number"],
+    dates: ["local", "utc", "string"],
+    json: ["parse", "string"]
+};
 
-            if (this._throwErrors)
-                throw err;
-            else
-                console.error(err);
+//element type of the arrays of the types with presets
+var presetArrayTypes = {1016: 20, 1231: 1700, 1182: 1082, 1115: 1114, 1185: 1184, 199: 114, 3807: 3802};
+
+var typeCatalogSql = "SELECT t.oid, t.typname AS name, n.nspname AS schema, t.typtype AS type, " +
+    "t.typcategory AS category, t.typbasetype AS base, t.typelem AS elem " +
+    "FROM pg_type t JOIN pg_namespace n ON n.oid = t.typnamespace " +
+    "ORDER BY n.nspname NOT IN ('pg_catalog','public'), n.nspname;";
+
+function validateTypes(types) {
+    if (types==null)
+        return;
+
+    for (let key in types) {
+        if (!types.hasOwnProperty(key))
+            continue;
+
+        let value = types[key];
+        let valid;
+        if (key == "parsers")
+            valid = isObject(value);
+        else if (typePresets.hasOwnProperty(key))
+            valid = typePresets[key].indexOf(value) >= 0 ||
+                (typeof value === "function" && (key == "bigint" || key == "numeric"));
+        else
+            valid = false;
 
-            return;
-        }
+        if (!valid)
+            throw new DatabaseError("Types: Invalid " + key + " option: " +
+                (typeof value === "function" ? "function" : JSON.stringify(value)),
+                {code: DatabaseError.VALIDATION});
+    }
+}
+function buildTypeCatalog(rows) {
+    var catalog = {byOid: {}, byName: {}};
 
-        var table = options.table;
-        var columns = options.columns;
-        var values = options.values;
-        var where = options.where;
-        var whereParas = options.whereParas;
+    for (let row of rows) {
+        catalog.byOid[row.oid] = row;
+        catalog.byName[row.schema + "." + row.name] = row.oid;
 
-        if (table == null) {
-            let err = new Error("MergeHelper: Table option is required.");
+        //pg_catalog and public come first
+        if (!catalog.byName.hasOwnProperty(row.name))
+            catalog.byName[row.name] = row.oid;
+    }
 
-            if (this._throwErrors)
-                throw err;
-            else
-                console.error(err);
+    return catalog;
+}
+function getTypeParsers(db, client, types, cb) {
+    var key = getConnectionString(db.config || dbConfig.config);
+    var catalog = typeCatalogs.get(key);
 
+    if (catalog!=null) {
+        cb(createTypeParsers(db, types, catalog));
+        return;
+    }
+
+    client.query(typeCatalogSql, function(err, result) {
+        if (err) {
+            //parse without resolving type names, domains and enums, retried on the next query
+            db.log("warn", "Unable to load types: " + err.message, {error: err});
+            cb(createTypeParsers(db, types, null));
             return;
         }
 
+        catalog = buildTypeCatalog(result.rows);
+        typeCatalogs.set(key, catalog);
+        cb(createTypeParsers(db, types, catalog));
+    });
+}
+function createTypeParsers(db, types, catalog) {
+    var cached = typeParserCache.get(types);
+    if (cached!=null && cached.catalog===catalog)
+        return cached.parsers;
+
+    var custom = {};
+    var parsers = {};
+    var unresolved = [];
+
+    if (types.parsers!=null) {
+        for (let name in types.parsers) {
+            if (!types.parsers.hasOwnProperty(name))
+                continue;
+
+            if (/^\d+$/.test(name))
+                custom[name] = types.parsers[name];
+            else if (catalog!=null && catalog.byName.hasOwnProperty(name))
+                custom[catalog.byName[name]] = types.parsers[name];
+            else
+                unresolved.push(name);
+        }
+    }
 
-        var sqlInsert = "insert into " + table + " (";
-        var sqlUpdate = "update " + table + " set ";
-        var parasInsert = [];
-        var parasUpdate = [];
+    if (unresolved.length > 0) {
+        db.log("warn", (catalog!=null ? "Unknown types, their parsers are not used: " :
+            "Types are not loaded, parsers by name are not used: ") + unresolved.join(", "),
+            {types: unresolved});
+    }
 
+    function resolve(oid, depth) {
+        if (depth > 10)
+            return null;
 
-        let tempColumns;
-        let tempValues;
+        if (custom.hasOwnProperty(oid))
+            return custom[oid];
 
-        if (isObject(columns)) {
+        let parser = getPresetParser(types, oid);
+        if (parser!=null)
+            return parser;
 
-            tempColumns = [];
-            tempValues = [];
+        let elem = presetArrayTypes[oid];
+        let type = catalog!=null ? catalog.byOid[oid] : null;
 
-            for (let key in columns) {
-                if (columns.hasOwnProperty(key)) {
-                    tempColumns.push(key);
-                    tempValues.push(columns[key]);
-                }
-            }
+        if (type!=null) {
+            //domains are parsed like their base type
+            if (type.type == "d")
+                return resolve(type.base, depth+1) || pg.types.getTypeParser(type.base, "text");
 
-        } else {
+            if (type.type == "e")
+                return parseString;
 
-            //split if columns is a string
-            if (!Array.isArray(columns))
-                tempColumns = columns.split(",");
-            else
-                tempColumns = columns;
+            if (type.category == "A")
+                elem = type.elem;
+        }
 
-            tempValues = values;
+        if (elem!=null) {
+            let elemParser = resolve(elem, depth+1);
+            if (elemParser!=null) {
+                return function(value) {
+                    return pg.types.arrayParser.create(value, elemParser).parse();
+                };
+            }
         }
 
-        if (tempValues==null || tempColumns==null ||
-            tempColumns.length != tempValues.length) {
-            let err= new Error("MergeHelper: Number of Columns and Values do not match.");
+        return null;
+    }
 
-            if (this._throwErrors)
-                throw err;
-            else
-                console.error(err);
+    var typeParsers = {
+        getTypeParser: function(oid, format) {
+            if (format!=null && format!="text")
+                return pg.types.getTypeParser(oid, format);
 
-            return;
-        }
+            if (!parsers.hasOwnProperty(oid))
+                parsers[oid] = resolve(oid, 0) || pg.types.getTypeParser(oid, "text");
 
-        for (let column of tempColumns) {
-            sqlInsert += column + ",";
-            sqlUpdate += column + "=?,";
+            return parsers[oid];
         }
+    };
 
-        sqlInsert = removeLastChara(sqlInsert);
-        sqlUpdate = removeLastChara(sqlUpdate);
+    typeParserCache.set(types, {catalog: catalog, parsers: typeParsers});
+    return typeParsers;
+}
+function getPresetParser(types, oid) {
+    var preset = null;
+
+    switch (oid) {
+        case 20:
+            preset = types.bigint;
+            if (preset == "number")
+                return parseBigintNumber;
+            if (preset == "bigint")
+                return BigInt;
+            break;
+        case 1700:
+            preset = types.numeric;
+            if (preset == "number")
+                return parseNumericNumber;
+            break;
+        case 1082:
+        case 1114:
+        case 1184:
+            preset = types.dates;
+            //timestamptz values include their time zone
+            if (preset == "utc" && oid != 1184)
+                return parseUtcTimestamp;
+            break;
+        case 114:
+        case 3802:
+            preset = types.json;
+            break;
+    }
 
+    if (typeof preset === "function")
+        return preset;
+    if (preset == "string")
+        return parseString;
 
-        //wrapping up the end of the INSERT satement
-        sqlInsert += ") VALUES (";
-        for (let i=0; i<tempValues.length; i++) {
-            sqlInsert += "?,";
+    return null;
+}
+/**
+ * Returns the parsers of one query, collecting the overflows of the number
+ * parsers in errors rather than throwing them inside pg's row parser.
+ */
+function watchTypeParsers(typeParsers, errors) {
+    return {
+        getTypeParser: function(oid, format) {
+            var parser = typeParsers.getTypeParser(oid, format);
+            return function(value) {
+                typeErrors = errors;
+                var parsed = parser(value);
+                typeErrors = null;
+                return parsed;
+            };
         }
+    };
+}
+function typeOverflow(message) {
+    if (typeErrors!=null)
+        typeErrors.push(message);
+}
+function parseString(value) {
+    return value;
+}
+function parseBigintNumber(value) {
+    var number = Number(value);
+    if (Number.isSafeInteger(number))
+        return number;
+
+    typeOverflow("Bigint value " + value + " is out of range for a number.");
+    return value;
+}
+function parseNumericNumber(value) {
+    var number = Number(value);
+    if (isFinite(number) || value == "NaN")
+        return number;
+
+    typeOverflow("Numeric value " + value + " is out of range for a number.");
+    return value;
+}
+function parseUtcTimestamp(value) {
+    var parseTimestamptz = pg.types.getTypeParser(1184, "text");
 
-        sqlInsert = removeLastChara(sqlInsert);
-        sqlInsert += ") ;";
+    if (/infinity$/.test(value))
+        return parseTimestamptz(value);
 
-        Array.prototype.push.apply(parasInsert,tempValues);
-        Array.prototype.push.apply(parasUpdate,tempValues);
+    var bc = / BC$/.test(value);
+    if (bc)
+        value = value.slice(0, -3);
 
+    //date values have no time
+    if (value.indexOf(":") < 0)
+        value += " 00:00:00";
 
-        if (where!=null) {
+    return parseTimestamptz(value + "+00" + (bc ? " BC" : ""));
+}
 
-            if (isObject(where) &&
-                where.hasOwnProperty("sql") &&
-                where.hasOwnProperty("paras")
-            ) {
+//##########################################################################
+// Statement Cache
+//##########################################################################
+
+/**
+ * @class
+ * @ignore
+ * <p>Names of the prepared statements of a connection, least recently used first.
+ * Kept on the pg client, so a new connection starts with an empty cache.</p>
+ */
+class StatementCache {
 
-                sqlUpdate += " WHERE " + where.sql;
-                Array.prototype.push.apply(parasUpdate,where.paras);
+    constructor() {
+        this.max = 100;
+        this.count = 0;
+        this.statements = new Map();
+    }
 
-            } else {
-                where = where.trim();
-                var lowerWhere =  where.toLowerCase();
-                if (lowerWhere.substr(0,5)=="where")
-                    where.substr(5);
+    /**
+     * Marks the statement as used. A statement that is not prepared yet gets a new
+     * name on the server, as pg does not parse a name again once it has used it.
+     * @param {String} name
+     * @param {String} sql
+     * @returns {Object} {name, stale} where name is the name on the server and stale
+     *          the names of the statements to deallocate.
+     */
+    use(name, sql) {
+        var stale = [];
+        var statement = this.statements.get(name);
 
-                sqlUpdate += " WHERE " + where;
-                Array.prototype.push.apply(parasUpdate,updateWhereParas);
+        if (statement!=null) {
+            this.statements.delete(name);
 
+            //the name was given to another statement
+            if (statement.sql !== sql) {
+                stale.push(statement.name);
+                statement = null;
             }
+        }
+
+        if (statement==null)
+            statement = {sql: sql, name: name + "_" + (++this.count)};
+        this.statements.set(name, statement);
 
+        while (this.statements.size > this.max) {
+            let oldest = this.statements.keys().next().value;
+            stale.push(this.statements.get(oldest).name);
+            this.statements.delete(oldest);
         }
 
-        self.merge(sqlInsert,parasInsert,sqlUpdate,parasUpdate,cb);
+        return {name: statement.name, stale: stale};
+    }
 
+    /**
+     * @param {String} name
+     * @returns {String} the name on the server to deallocate, or null if not cached.
+     */
+    remove(name) {
+        var statement = this.statements.get(name);
+        this.statements.delete(name);
+        return statement!=null ? statement.name : null;
     }
+}
 
+//##########################################################################
+// Listener
+//##########################################################################
+
+/**
+ * @class
+ * @ignore
+ * <p>Dedicated connection receiving the notifications of an instance's channels.
+ * Reconnects when the connection is lost and subscribes to its channels again.</p>
+ */
+class Listener {
 
     /**
-     * Builds the where option for use with "where" option in other helpers.
-     * See {@link Postgresjs#selectHelper}, {@link Postgresjs#deleteHelper},
-     * {@link Postgresjs#updateHelper}, {@link Postgresjs#mergeHelper}.
-     * <h4>Example:</h4>
-     * <pre>
-     *     //..
-     *     db.whereHelper({
-     *       "name -like":"%Smith",
-     *       "banned":false
-     *     });
-     *     //..
-     * </pre>
-     * @param {Object} variables - Set keys as column names and values as desired value.
-     *              <br>Special flags may be appended to key string:
-     *              <br> -like  : uses the LIKE comparator
-     *              <br> -notlike : uses the NOT LIKE comparator
-     *              <br> -not : uses the != comparator
-     *              <br> <i>default</i> : uses the = comparator
-     * @param {String} [defaultLogic="AND"] - logic seperator (ie: OR)
-     * @returns object for use with the "where" option in other helpers.
+     * @param {Postgresjs} db - instance used for its config and logger
      */
-    whereHelper(variables,defaultLogic) {
-
-        if (variables==null || !isObject(variables))
-            return;
+    constructor(db) {
+        this.db = db;
+        this.config = db.config || dbConfig.config;
+        this.client = null;
+        this.channels = {};
+        this.connecting = null;
+        this.closed = false;
+        this.reconnectDelay = 0;
+        this.reconnectTimer = null;
+    }
 
-        if (defaultLogic==null) defaultLogic = " AND ";
+    listen(channel, handler, json, cb) {
+        var self = this;
+        var subscribed = this.channels.hasOwnProperty(channel);
+        var entry = {handler: handler, json: !!json};
 
-        defaultLogic = defaultLogic.trim();
+        if (!subscribed)
+            this.channels[channel] = [];
+        this.channels[channel].push(entry);
 
-        var out = {
-            sql: null,
-            paras: []
+        //a failed subscription leaves no handler behind
+        function failed(err) {
+            self.remove(channel, entry);
+            cb(err);
         }
 
-        var tempSQL = [];
-
-        for (let key in variables) {
+        this.connect(function(err, connected) {
+            if (err) {
+                failed(err);
+                return;
+            }
 
-            if (variables.hasOwnProperty(key) && variables[key]!=null) {
+            //a new connection subscribes to every channel
+            if (connected || subscribed) {
+                cb(null);
+                return;
+            }
 
-                var eqOperator = "=";
+            self.client.query("LISTEN " + quoteName(channel) + ";", function(err) {
+                if (err) {
+                    failed(DatabaseError.from(err, {sql: "LISTEN " + channel}));
+                    return;
+                }
+                cb(null);
+            });
+        });
+    }
 
-                var defaultValueInArrayOperator = " OR ";
+    remove(channel, entry) {
+        var handlers = this.channels[channel];
+        if (handlers==null)
+            return;
 
-                //split on space outside of doublequotes
-                var nameParts = key.match(/(?:[^\s"]+|"[^"]*")+/g);
-                var name = nameParts[0];
+        var index = handlers.indexOf(entry);
+        if (index>=0)
+            handlers.splice(index, 1);
 
-                for (let part of nameParts) {
-                    part = part.trim().toLowerCase();
-                    if (part.substr(0,2)=="--") part = part.substr(2);
-                    if (part.substr(0,1)=="-") part = part.substr(1);
-                    switch (part) {
-                        case "like":
-                            eqOperator = " LIKE ";
-                            break;
-                        case "notlike":
-                            eqOperator = " NOT LIKE ";
-                            defaultValueInArrayOperator = " AND ";
-                            break;
-                        case "not":
-                            eqOperator = " != ";
-                            defaultValueInArrayOperator = " AND ";
-                            break;
-                    }
-                }
+        if (handlers.length==0)
+            delete this.channels[channel];
+    }
 
+    unlisten(channel, cb) {
+        var sql = "UNLISTEN *;";
 
-                var thisSQL = name + eqOperator + "?";
+        if (channel==null) {
+            this.channels = {};
+        } else {
+            delete this.channels[channel];
+            sql = "UNLISTEN " + quoteName(channel) + ";";
+        }
 
+        if (Object.keys(this.channels).length==0) {
+            this.close(cb);
+            return;
+        }
 
-                var value = variables[key];
-                if (Array.isArray(value)) {
+        if (this.client==null) {
+            cb(null);
+            return;
+        }
 
-                    let arrSQL = [];
+        this.client.query(sql, function(err) {
+            cb(err ? DatabaseError.from(err, {sql: sql}) : null);
+        });
+    }
 
-                    for (let arrValue of value) {
-                        arrSQL.push(thisSQL);
-                        out.paras.push(arrValue);
-                    }
-                    tempSQL.push("(" + arrSQL.join(defaultValueInArrayOperator) + ")");
+    connect(cb) {
+        var self = this;
 
-                } else {
-                    tempSQL.push(thisSQL);
-                    out.paras.push(value);
-                }
-            }
+        if (this.client!=null) {
+            cb(null, false);
+            return;
         }
 
-        if (tempSQL.length>0) {
-            out.sql = tempSQL.join(" "+defaultLogic+" ");
+        //wait for the connection being opened
+        if (this.connecting!=null) {
+            this.connecting.push(cb);
+            return;
         }
+        this.connecting = [cb];
 
-        if (out.sql==null) out = null;
+        var client = new pg.Client(getClientConfig(this.config));
 
-        return out;
+        function done(err) {
+            var waiting = self.connecting;
+            self.connecting = null;
 
+            for (let next of waiting) {
+                next(err, !err);
+            }
+        }
 
-    }
+        function failed(err) {
+            done(err);
 
-    /**
-     * Returns a string to be used in the "orderBy" field in other helpers.
-     * See {@link Postgresjs#selectHelper}.
-     * <p>Sort options are either "ASC" or "DESC".</p>
-     * @param {Object} options - Required. See properties:
-     * @param {Array} options.columns - Array of column names, or
-     *              <br>Array of Objects: [{name:"column name",sort:"ASC"}, ..], or
-     *              <br>Array of Arrays: [["column name","ASC"], ..]
-     * @param {String} [options.defaultSort="ASC"] - Used if sort is not specified.
-     * @returns string of sql (the order by clause)
-     */
-    orderByHelper(options) {
-        if (options!=null && isObject(options)) {
+            //the waiting subscriptions are removed, keep trying for the channels left
+            self.reconnect(err);
+        }
 
-            var defaultSort = options.defaultSort || "ASC";
-            var columns = options.columns || [];
+        client.on("notification", function(msg) {
+            //ignore a lost connection
+            if (self.client===client)
+                self.dispatch(msg);
+        });
+        client.on("error", function(err) {
+            self.lost(client, err);
+        });
+        client.on("end", function() {
+            self.lost(client, null);
+        });
 
-            if (Array.isArray(columns)) {
+        client.connect(function(err) {
+            if (err) {
+                failed(DatabaseError.from(err, null, "Unable to open listen connection."));
+                return;
+            }
 
-                var sql = "";
+            if (self.closed) {
+                client.end();
+                done(null);
+                return;
+            }
 
-                for (let column of columns) {
+            self.client = client;
+            self.reconnectDelay = 0;
 
-                    let name = null;
-                    let sort = null;
+            var channels = Object.keys(self.channels);
+            if (channels.length==0) {
+                done(null);
+                return;
+            }
 
-                    if (isObject(column)) {
+            var sql = channels.map(function(channel) {
+                return "LISTEN " + quoteName(channel) + ";";
+            }).join(" ");
 
-                        if (column.name) {
-                            name = column.name;
-                            sort = column.sort || column.sortBy || null;
-                        }
+            client.query(sql, function(err) {
+                if (err) {
+                    //drop the connection, a reconnect subscribes again
+                    self.client = null;
+                    client.end();
+                    failed(DatabaseError.from(err, {sql: sql}));
+                    return;
+                }
+                done(null);
+            });
+        });
+    }
 
-                    } else if (Array.isArray(column)) {
-                        if (column.length>=1)
-                            name = column[0];
+    dispatch(msg) {
+        var handlers = this.channels[msg.channel];
+        if (handlers==null)
+            return;
 
-                        if (column.length>=2)
-                            sort = column[1];
+        var notification = {
+            channel: msg.channel,
+            payload: msg.payload,
+            processId: msg.processId
+        };
 
-                    } else {
-                        name = column;
-                    }
+        for (let entry of handlers.slice()) {
+            let payload = msg.payload;
 
+            try {
+                if (entry.json && payload!=null && payload.length>0)
+                    payload = JSON.parse(payload);
+            } catch (err) {
+                this.db.log("warn", "Notification payload on " + msg.channel + " is not JSON.",
+                    {channel: msg.channel, payload: msg.payload, error: err});
+            }
 
-                    if (name) {
-                        sql += name + " ";
+            try {
+                entry.handler(payload, notification);
+            } catch (err) {
+                this.db.log("error", "Notification handler for " + msg.channel + " failed.",
+                    {channel: msg.channel, error: err});
+            }
+        }
+    }
 
-                        if (sort==null)
-                            sql += defaultSort;
-                        else {
+    lost(client, err) {
+        if (this.client!==client || this.closed)
+            return;
 
-                            if (sort === true)
-                                sql += "ASC";
-                            else if (sort === false)
-                                sql += "DESC";
-                            else
-                                sql += sort;
+        this.client = null;
+        this.reconnect(err);
+    }
 
-                        }
+    reconnect(err) {
+        if (this.closed || this.reconnectTimer!=null || Object.keys(this.channels).length==0)
+            return;
 
+        //reconnect with an increasing delay, up to 30 seconds
+        this.reconnectDelay = Math.min(30000, Math.max(1000, this.reconnectDelay * 2));
 
-                        sql += ",";
-                    }
+        this.db.log("warn", "Listen connection lost, reconnecting in " + this.reconnectDelay + " ms.",
+            {delay: this.reconnectDelay, error: err});
 
+        var self = this;
+        this.reconnectTimer = setTimeout(function() {
+            self.reconnectTimer = null;
 
-                }
+            //a failed attempt schedules the next one
+            self.connect(function(err) {
+                if (err)
+                    self.db.log("error", "Listen connection failed to reconnect.", {error: err});
+            });
+        }, this.reconnectDelay);
+    }
 
-                sql = removeLastChara(sql);
+    close(cb) {
+        this.closed = true;
+        this.channels = {};
 
-                console.log(sql);
-                return sql;
+        if (this.reconnectTimer!=null) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
 
-            } else
-                return columns;
+        var client = this.client;
+        this.client = null;
 
-        } else
-            return options;
+        if (client==null) {
+            cb(null);
+            return;
+        }
 
+        client.end(function(err) {
+            cb(err ? DatabaseError.from(err) : null);
+        });
     }
+}
 
-    //##########################################################################
-    //  Result Methods
-    //##########################################################################
+//##########################################################################
+// Cursor
+//##########################################################################
 
-    /**
-     * Returns an error object from the last executed command on this db conn.
-     * @returns Error object or null if no error
-     */
-    error() {
-        return this.last_error;
-    };
+/**
+ * @class
+ * @ignore
+ * <p>Server-side cursor, fetching the rows of a query in batches with DECLARE and FETCH.
+ * Starts a transaction for the cursor if none is open on the connection.</p>
+ */
+class Cursor {
 
     /**
-     * @description  Returns an array of objects as rows from last query
+     * @param {Postgresjs} db - started instance
+     * @param {string} sql - sql statement to execute
+     * @param {Array|Object} [paras=null] - parameters of the statement
+     * @param {int} [batchSize=1000] - Number of rows fetched at a time.
      */
-    get rows() {
-        return this.result;
+    constructor(db, sql, paras, batchSize) {
+        this.db = db;
+        this.sql = String(sql).trim().replace(/;$/, "");
+        this.paras = paras;
+        this.batchSize = batchSize || 1000;
+        this.name = "postgresjs_cursor_" + (++cursorCounter) + "_" + crypto.randomBytes(4).toString("hex");
+        this.opened = false;
+        this.done = false;
+        this.closed = false;
+        this.ownTransaction = false;
     }
 
-    /**
-     * @description Returns number of rows last affected by last query
-     */
-    get rowCount() {
-        return this.resultCount;
-    }
+    open(cb) {
+        var self = this;
+        var db = this.db;
 
+        function declare() {
+            db.execute("DECLARE " + self.name + " NO SCROLL CURSOR FOR " + self.sql, self.paras,
+                function(err) {
+                    if (err) {
+                        cb(err);
+                        return;
+                    }
 
-    /**
-     * Loops over the rows from the last query. Non-blocking.
-     * <h4>Example:</h4>
-     * <pre>
-     *   //..
-     *   yield db.asyncForEach((index,item,next) => {
-     *      console.log(index + ") ",item);
-     *      //..
-     *      next();
-     *   });
-     *  //..
-     * </pre>
-     * @param {Postgresjs~cbAsyncForEachIterator} cbIterator - Returns cb(index,item,cbNext).
-     *              <br>Must call cbNext() to continue.
-     * @param {Postgresjs~cbAsyncForEachFinal} [cbFinal=null] - Returns cb().
-     * @param {Boolean} [enableCallback=true] - Set to false to disable default
-     *                callback handling (used to disable suspend.resume on loop completion).
-     */
-    asyncForEach(cbIterator, cbFinal, enableCallback) {
-        if (enableCallback==null) enableCallback = true;
-        var self = this;
-        if (enableCallback) self.initHandleCallback();
+                    self.opened = true;
+                    cb(null);
+                });
+        }
 
-        var data = this.result;
-        var counter = 0;
-        var len = data.length;
+        //cursors only live within a transaction
+        if (db.transactionDepth > 0) {
+            declare();
+            return;
+        }
 
-        var next = function () {
-            if (counter < len && data != null) {
-                process.nextTick(step);
-            } else {
-                if (enableCallback)  self.handleCallback(cbFinal);
+        db.execute("START TRANSACTION;", null, function(err) {
+            if (err) {
+                cb(err);
                 return;
             }
-        };
-        var step = function () {
-            if (counter < len && data != null) {
-                var key = counter++;
-                if (cbIterator(key, data[key], next) == false) {
-                    if (enableCallback) self.handleCallback(cbFinal);
+
+            self.ownTransaction = true;
+            db.transactionDepth = 1;
+            declare();
+        });
+    }
+
+    fetch(cb) {
+        var self = this;
+
+        this.db.execute("FETCH FORWARD " + this.batchSize + " FROM " + this.name + ";", null,
+            function(err, rows) {
+                if (err) {
+                    cb(err);
                     return;
                 }
 
-            } else {
-                if (enableCallback) self.handleCallback(cbFinal);
-                return;
-            }
-        };
-        step();
-    };
+                //a short batch is the last one
+                if (rows.length < self.batchSize)
+                    self.done = true;
+
+                cb(null, rows);
+            });
+    }
+
+    close(err, cb) {
+        var self = this;
+        var db = this.db;
+
+        if (this.closed) {
+            cb(err);
+            return;
+        }
+        this.closed = true;
+
+        var sql = null;
+        if (this.ownTransaction)
+            //ending the transaction closes the cursor
+            sql = err ? "ROLLBACK;" : "COMMIT;";
+        else if (this.opened && !err)
+            sql = "CLOSE " + this.name + ";";
+
+        if (sql == null || db.client == null) {
+            cb(err);
+            return;
+        }
+
+        db.execute(sql, null, function(closeErr) {
+            if (self.ownTransaction)
+                db.transactionDepth = 0;
 
+            cb(err || closeErr || null);
+        });
+    }
+}
 
-    //##########################################################################
-    //  Callback Handlers
-    //##########################################################################
+//##########################################################################
+// Raw SQL
+//##########################################################################
+
+/**
+ * @class
+ * <p>A SQL expression used as is by the helpers. Create with {@link Postgresjs.raw}.</p>
+ */
+class RawSql {
 
     /**
-     * Internal method. You should not call this directly.
-     * ----------------
-     * Prepares the handle callback system for suspend.resume usage.
-     * @ignore
-     */
-    initHandleCallback() {
-        if (this.resume)
-            this.resume_next = this.resume();
-        else
-            this.resume_next = null;
-    };
-    /**
-     * Internal method. You should not call this directly.
-     * ----------------
-     * Calls back the callback or if callback is null, executes
-     * the suspend.resume to move forward.
-     * @ignore
+     * @param {String} sql - sql expression
+     * @param {Array} [paras=null] - array of values replacing "?" in the expression
      */
-    handleCallback(cb, err, result) {
-        if (err) {
-            this.last_error = err;
-        } else {
-            this.last_error = null;
-        }
-        if (cb)
-            cb(err, result, this.resume_next);
-        else if (this.resume_next) {
+    constructor(sql, paras) {
+        if (typeof sql != "string")
+            throw new DatabaseError("Raw: sql must be a string.",
+                {code: DatabaseError.VALIDATION});
 
-            if (this._throwErrors)
-                this.resume_next(err, result);
-            else
-                this.resume_next(null, result);
-        }
+        this.sql = sql;
+        this.paras = paras || [];
+
+        //set by buildSelect, used as a subquery
+        this.isQuery = false;
     }
-};
-module.exports = Postgresjs;
+
+    toString() {
+        return this.sql;
+    }
+}
 
 //##########################################################################
-//  Private: Util Methods
+// Errors
 //##########################################################################
 
-function replaceQMarks(sql) {
-    var insideQuote = false;
-    var parameterIndex = 1;
-    var currentIndex = 0;
-    var rv = [];
-    for (var i=0, len = sql.length; i < len; i++) {
-        var c = sql[i];
-        if (insideQuote) {
-            if (c == "'") insideQuote = false;
-        } else {
-            if (c == '?') {
-                rv.push(sql.substring(currentIndex, i));
-                rv.push('$' + parameterIndex);
-                parameterIndex++;
-                currentIndex = i + 1;
-            } else if (c=="'") insideQuote = true;
+var pgErrorFields = ["code", "severity", "detail", "hint", "position",
+    "internalPosition", "internalQuery", "where", "schema", "table", "column",
+    "dataType", "constraint", "file", "line", "routine"];
+
+/**
+ * @class
+ * <p>Error returned by all methods of {@link Postgresjs}.</p>
+ * <p>Errors reported by PostgreSQL keep the fields provided by the server, such
+ * as the SQLSTATE code, constraint, table, column, detail, hint and position.
+ * Errors raised by this library use one of the codes defined as static
+ * properties on this class (ie: DatabaseError.VALIDATION).</p>
+ *
+ * <h4>Example:</h4>
+ * <pre>
+ *   yield db.insertHelper({table:"users", columns:{username:"tester"}}, (err,result,next) => {
+ *      if (err && err.isUniqueViolation()) {
+ *          console.log("Username taken, constraint: " + err.constraint);
+ *      }
+ *      next();
+ *   });
+ * </pre>
+ */
+class DatabaseError extends Error {
+
+    /**
+     * @param {String} message
+     * @param {Object} [fields=null] - Properties to set on the error, such as code,
+     *          sql and paras. A stack property replaces the error's stack trace.
+     */
+    constructor(message, fields) {
+        super(message);
+
+        this.name = "DatabaseError";
+        this.code = null;
+        this.sql = null;
+        this.paras = null;
+
+        if (fields!=null) {
+            for (let key in fields) {
+                if (fields.hasOwnProperty(key) && key!="stack")
+                    this[key] = fields[key];
+            }
+
+            //use the stack from the scope of the method call
+            if (fields.stack)
+                this.stack = this.name + ": " + message +
+                    fields.stack.substr(fields.stack.indexOf("\n"));
         }
     }
-    rv.push(sql.substring(currentIndex));
-    return rv.join('');
-}
-function getTimestamp() {
-    var now = new Date();
-    return formatDateTime(now);
-}
-function formatDateTime(str) {
-    var input = new Date(str);
-    return ""+(input.getFullYear())+"-"+pad(input.getMonth()+1,2,'0')+"-"+pad(input.getDate(),2,'0')+" "+pad(input.getHours(),2,'0')+":"+pad(input.getMinutes(),2,'0')+":"+pad(input.getSeconds(),2,'0');
-}
-function generateToken(length,dict) {
-    var found = false;
-    var token = "";
-    while (!found) {
-        token = generateRandomString(length);
-        if (dict==null || (dict!=null && !dict.has(token))) {
-            found = true;
+
+    /**
+     * Creates a DatabaseError from an error returned by pg, keeping its fields.
+     * @param {Error} err - error returned by pg, or null
+     * @param {Object} [fields=null] - See constructor.
+     * @param {String} [defaultMessage="Unspecified Database Error."] - Used if err has no message.
+     * @returns {DatabaseError}
+     */
+    static from(err, fields, defaultMessage) {
+        if (err instanceof DatabaseError)
+            return err;
+
+        let message = defaultMessage || "Unspecified Database Error.";
+        if (err!=null && err.message)
+            message = err.message;
+
+        let dbErr = new DatabaseError(message, fields);
+
+        if (err!=null) {
+            for (let key of pgErrorFields) {
+                if (err[key]!=null)
+                    dbErr[key] = err[key];
+            }
+            dbErr.cause = err;
         }
+
+        return dbErr;
     }
-    return token;
-}
-function generateRandomString(L){
-    var s= '';
-    var randomchar=function(){
-        var n= Math.floor(Math.random()*62);
-        if(n<10) return n; //1-10
-        if(n<36) return String.fromCharCode(n+55); //A-Z
-        return String.fromCharCode(n+61); //a-z
+
+    /**
+     * @returns {Boolean} true if a unique constraint was violated (23505).
+     */
+    isUniqueViolation() {
+        return this.code === "23505";
     }
-    while(s.length< L) s+= randomchar();
-    return s;
-}
-function pad(n, width, z) {
-    z = z || '0';
-    n = n + '';
-    return n.length >= width ? n : new Array(width - n.length + 1).join(z) + n;
-}
 
-function timeStart() {
-    return process.hrtime();
-}
-function timeEnd(start) {
-    return (process.hrtime(start)[1] / 1000000000).toFixed(5);
-}
+    /**
+     * @returns {Boolean} true if a foreign key constraint was violated (23503).
+     */
+    isForeignKeyViolation() {
+        return this.code === "23503";
+    }
 
-function removeLastChara(str) {
-    return str.substr(0,str.length-1);
-}
+    /**
+     * @returns {Boolean} true if a not null constraint was violated (23502).
+     */
+    isNotNullViolation() {
+        return this.code === "23502";
+    }
 
-function replaceAll(str,strFind, strWith) {
-    var reg = new RegExp(strFind, 'ig');
-    return str.replace(reg, strWith);
-}
-function isObject(val) {
-    if (Array.isArray(val)) return false;
-    if (val === null) { return false;}
-    return ( (typeof val === 'function') || (typeof val === 'object') );
-}
+    /**
+     * @returns {Boolean} true if a check constraint was violated (23514).
+     */
+    isCheckViolation() {
+        return this.code === "23514";
+    }
 
+    /**
+     * @returns {Boolean} true if the transaction could not be serialized (40001).
+     */
+    isSerializationFailure() {
+        return this.code === "40001";
+    }
 
-function getTimeDiff(ts,unit) {
-    var now = getTimestamp();
-    if (ts==null || now==null || ts=="" || now=="") return 0;
-    var lastDate = new Date(ts);
-    var nowDate = new Date(now);
+    /**
+     * @returns {Boolean} true if a deadlock was detected (40P01).
+     */
+    isDeadlock() {
+        return this.code === "40P01";
+    }
 
-    var diff = (nowDate-lastDate);
+    /**
+     * @returns {Boolean} true if the query was canceled after running longer than its timeout.
+     */
+    isTimeout() {
+        return this.code === DatabaseError.QUERY_TIMEOUT;
+    }
 
-    switch (unit) {
-        case "milliseconds":
-        case "millisecond":
-        case "ms":
-            return diff;
-            break;
-        case "sec":
-        case "s":
-        case "second":
-        case "seconds":
-            return diff/1000;
-            break;
-        case "min":
-        case "m":
-        case "minutes":
-        case "minute":
-            return diff/1000/60;
-            break;
-        case "hour":
-        case "h":
-        case "hours":
-            return diff/1000/60/60;
-            break;
-        case "days":
-        case "day":
-        case "d":
-            return diff/1000/60/60/24;
-            break;
+    /**
+     * @returns {Boolean} true if the query was canceled with cancel(), its AbortSignal,
+     *          or by the server (57014, ie: statement_timeout).
+     */
+    isCanceled() {
+        return this.code === DatabaseError.QUERY_CANCELED || this.code === "57014";
     }
 
-    return 0;
+    /**
+     * @returns {Boolean} true if a helper was called with invalid options.
+     */
+    isValidationError() {
+        return this.code === DatabaseError.VALIDATION;
+    }
 }
 
-//##########################################################################
-//  Imports
-//##########################################################################
-
-var Dictionary = require('dictionaryjs');
-var pg = require('pg');
-var suspend = require("suspend");
-
-//global variable
-var dbConfig = {config:null};
-var dictTokens = new Dictionary();
-var openConnections = new Dictionary();
-
-var auto_closer_enabled = false;
-var auto_closer_minutes = 3;
-var auto_closer_interval;
+/**
+ * @description Code used when a helper is called with invalid options.
+ */
+DatabaseError.VALIDATION = "VALIDATION";
+/**
+ * @description Code used when a query is sent before start() was called.
+ */
+DatabaseError.NOT_CONNECTED = "NOT_CONNECTED";
+/**
+ * @description Code used when start() is called on an open connection.
+ */
+DatabaseError.ALREADY_CONNECTED = "ALREADY_CONNECTED";
+/**
+ * @description Code used when the pool has no client available in time.
+ */
+DatabaseError.ACQUIRE_TIMEOUT = "ACQUIRE_TIMEOUT";
+/**
+ * @description Code used when merge() exceeds its iteration limit.
+ */
+DatabaseError.MERGE_LIMIT = "MERGE_LIMIT";
+/**
+ * @description Code used when committing a transaction in which a statement failed.
+ */
+DatabaseError.TRANSACTION_ROLLED_BACK = "TRANSACTION_ROLLED_BACK";
+/**
+ * @description Code used when a query is canceled after running longer than its timeout.
+ */
+DatabaseError.QUERY_TIMEOUT = "QUERY_TIMEOUT";
+/**
+ * @description Code used when a query is canceled with cancel() or its AbortSignal.
+ */
+DatabaseError.QUERY_CANCELED = "QUERY_CANCELED";
+/**
+ * @description Code used when a bigint or numeric value is out of range for a number.
+ */
+DatabaseError.TYPE_OVERFLOW = "TYPE_OVERFLOW";
+/**
+ * @description Code used when the migration files do not match the applied migrations.
+ */
+DatabaseError.MIGRATION = "MIGRATION";
 
 //##########################################################################
 // Auto Close
@@ -1671,20 +6407,26 @@ function updateAutoCloseInterval(enabled,minutes) {
                         outlog += "\n[" + db.guid + "] Db Opened : " + minutes +
                             " minutes\n" + db.start_stack+"\n";
 
-                        //auto closer
-                        db.end();
+                        //auto closer, canceling a query still running on the server
+                        db.cancel(function() {
+                            db.end(function() {});
+                        });
                     }
                 }
                 cbNext();
 
             },function() {
                 if (outlog!="") {
-                    console.log("----------------------------------------\n" +
+                    writeLog(logSettings.logger, logSettings.level, "warn",
+                        "----------------------------------------\n" +
                         "**** " + counter + " Database Connections Open ****"+outlog +
-                        "\n----------------------------------------");
+                        "\n----------------------------------------",
+                        {openConnections: counter});
 
                 } else {
-                    console.log("All database connections are closed ("+counter+").");
+                    writeLog(logSettings.logger, logSettings.level, "debug",
+                        "All database connections are closed ("+counter+").",
+                        {openConnections: counter});
                 }
             });
 
@@ -1705,7 +6447,7 @@ function updateAutoCloseInterval(enabled,minutes) {
 
 /**
  * @callback Postgresjs~cbOnError
- * @param {Error} err - Returns an error if there was one, or null.
+ * @param {DatabaseError} err - Returns an error if there was one, or null.
  */
 
 /**
@@ -1721,9 +6463,59 @@ function updateAutoCloseInterval(enabled,minutes) {
  * @param {Array} result - An array of objects, where each object represents a row, or null.
  */
 
+/**
+ * Returns a started instance from the pool.
+ * @callback Postgresjs~cbOnAcquire
+ * @param {Error} err - An error if there was one, or null.
+ * @param {Postgresjs} db - The started instance, or null.
+ */
+
+/**
+ * Returns the result of the transaction.
+ * @callback Postgresjs~cbOnTransaction
+ * @param {DatabaseError} err - An error if there was one, or null.
+ * @param {*} result - The value returned by the transaction function.
+ */
+
+/**
+ * Returns the migrations that were applied, reverted or found.
+ * @callback Postgresjs~cbOnMigrate
+ * @param {DatabaseError} err - The error if a migration failed.
+ * @param {Array} migrations - Array of {version, name}, see {@link Migrator}.
+ */
+
+/**
+ * Returns a page of rows.
+ * @callback Postgresjs~cbOnPage
+ * @param {DatabaseError} err - The error if the query failed.
+ * @param {Object} page - {rows, nextCursor, prevCursor, hasMore} and total if requested.
+ */
+
+/**
+ * Returns whether a query was canceled.
+ * @callback Postgresjs~cbOnCancel
+ * @param {DatabaseError} err - The error if the cancel request failed.
+ * @param {Boolean} canceled - false if no query was running.
+ */
+
+/**
+ * Called with each notification received on a channel.
+ * @callback Postgresjs~cbOnNotification
+ * @param {String|Object} payload - The payload, parsed if the json option was set.
+ * @param {Object} notification - The channel, raw payload and processId of the sender.
+ */
+
+/**
+ * Returns the number of rows copied.
+ * @callback Postgresjs~cbOnCopy
+ * @param {DatabaseError} err - An error if there was one, or null.
+ * @param {int} rowCount - The number of rows copied.
+ */
+
 /**
  * Returns the result of the merge.
  * @callback Postgresjs~cbOnMerge
  * @param {Error} err - An error if there was one, or null.
- * @param {String} result - Either "insert" or "update" depending on what was used.
+ * @param {String} result - Either "insert" or "update" depending on what was used,
+ *          or "none" if the row was skipped by mergeHelper's doNothing or updateWhere options.
  */
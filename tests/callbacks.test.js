@@ -0,0 +1,161 @@
+"use strict";
+
+var assert = require("assert");
+var suspend = require("suspend");
+var Postgresjs = require("../Postgresjs");
+var fakeDb = require("./fakeClient").fakeDb;
+
+Postgresjs.config = {host: "127.0.0.1", database: "test", username: "test", password: "test"};
+Postgresjs.logLevel = "silent";
+
+function handler(sql) {
+    if (/fail/.test(sql))
+        return new Error("relation \"fail\" does not exist");
+    return [{id: 1}];
+}
+
+describe("callbacks", function() {
+
+    describe("callback", function() {
+
+        it("returns the rows", function(done) {
+            var db = fakeDb(Postgresjs, null, handler);
+            db.query("select id from users;", null, function(err, rows) {
+                assert.ifError(err);
+                assert.deepStrictEqual(rows, [{id: 1}]);
+                done();
+            });
+        });
+
+        it("returns query errors", function(done) {
+            var db = fakeDb(Postgresjs, null, handler);
+            db.query("select id from fail;", null, function(err) {
+                assert.ok(err instanceof Postgresjs.DatabaseError);
+                assert.strictEqual(db.error(), err);
+                done();
+            });
+        });
+
+        it("returns validation errors when throwErrors is disabled", function(done) {
+            var db = fakeDb(Postgresjs, null, handler);
+            db.throwErrors = false;
+            db.insertHelper({table: null}, function(err) {
+                assert.ok(err.isValidationError());
+                done();
+            });
+        });
+
+        it("throws validation errors", function() {
+            var db = fakeDb(Postgresjs, null, handler);
+            assert.throws(function() {
+                db.insertHelper({table: null}, function() {});
+            }, /Table option is required/);
+        });
+
+        it("calls back after invalid transaction options when throwErrors is disabled", function(done) {
+            var db = fakeDb(Postgresjs, null, handler);
+            db.throwErrors = false;
+            db.transaction({isolationLevel: "bogus"}, function() {
+                assert.fail("transaction body ran");
+            }, function(err) {
+                assert.ok(err.isValidationError());
+                done();
+            });
+        });
+    });
+
+    describe("suspend.resume", function() {
+
+        it("returns the rows", function(done) {
+            suspend.run(function*() {
+                var db = fakeDb(Postgresjs, suspend.resume, handler);
+                var rows = yield db.query("select id from users;");
+                assert.deepStrictEqual(rows, [{id: 1}]);
+            }, done);
+        });
+
+        it("throws query errors", function(done) {
+            suspend.run(function*() {
+                var db = fakeDb(Postgresjs, suspend.resume, handler);
+                yield db.query("select id from fail;");
+            }, function(err) {
+                assert.ok(err instanceof Postgresjs.DatabaseError);
+                done();
+            });
+        });
+
+        it("resumes after validation errors when throwErrors is disabled", function(done) {
+            suspend.run(function*() {
+                var db = fakeDb(Postgresjs, suspend.resume, handler);
+                db.throwErrors = false;
+                yield db.updateHelper({table: "users", columns: {name: "a"}, where: "id=?", whereParas: {id: 1}});
+                assert.ok(db.error().isValidationError());
+            }, done);
+        });
+
+        it("resumes after invalid transaction options when throwErrors is disabled", function(done) {
+            suspend.run(function*() {
+                var db = fakeDb(Postgresjs, suspend.resume, handler);
+                db.throwErrors = false;
+                yield db.begin({isolationLevel: "bogus"});
+                assert.ok(db.error().isValidationError());
+            }, done);
+        });
+    });
+
+    describe("Promise", function() {
+
+        it("resolves with the rows", function() {
+            var db = fakeDb(Postgresjs, null, handler);
+            return db.selectRow("select id from users;").then(function(row) {
+                assert.deepStrictEqual(row, {id: 1});
+            });
+        });
+
+        it("rejects with query errors", function() {
+            var db = fakeDb(Postgresjs, null, handler);
+            return db.query("select id from fail;").then(function() {
+                assert.fail("resolved");
+            }, function(err) {
+                assert.ok(err instanceof Postgresjs.DatabaseError);
+            });
+        });
+
+        it("rejects with validation errors", function() {
+            var db = fakeDb(Postgresjs, null, handler);
+            return db.insertHelper({table: null}).then(function() {
+                assert.fail("resolved");
+            }, function(err) {
+                assert.ok(err.isValidationError());
+            });
+        });
+
+        it("settles after validation errors when throwErrors is disabled", function() {
+            var db = fakeDb(Postgresjs, null, handler);
+            db.throwErrors = false;
+            return Promise.all([
+                db.insertHelper({table: null}),
+                db.selectHelper({columns: ["id"]}),
+                db.deleteHelper({table: "users", returning: ["bad column"]}),
+                db.listen("", null)
+            ]).then(function(results) {
+                assert.deepStrictEqual(results, [undefined, undefined, undefined, undefined]);
+                assert.ok(db.error().isValidationError());
+            });
+        });
+
+        it("settles after invalid transaction options when throwErrors is disabled", function() {
+            var db = fakeDb(Postgresjs, null, handler);
+            db.throwErrors = false;
+            return Promise.all([
+                db.begin({isolationLevel: "bogus"}),
+                db.transaction({isolationLevel: "bogus"}, function() {
+                    assert.fail("transaction body ran");
+                })
+            ]).then(function() {
+                assert.ok(db.error().isValidationError());
+                assert.deepStrictEqual(db.client.sql, []);
+            });
+        });
+    });
+});
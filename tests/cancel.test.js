@@ -0,0 +1,190 @@
+"use strict";
+
+var assert = require("assert");
+var pg = require("pg");
+var suspend = require("suspend");
+var Postgresjs = require("../Postgresjs");
+var fakeDb = require("./fakeClient").fakeDb;
+
+var config = {host: "127.0.0.1", database: "test", username: "test", password: "test"};
+
+Postgresjs.config = config;
+Postgresjs.logLevel = "silent";
+
+/**
+ * Replaces pg.Client for the cancel connection, answering pg_cancel_backend
+ * with answer(config, pid), returning true, false or an Error, or a Promise of them.
+ */
+function stubCancel(answer) {
+    var Client = pg.Client;
+
+    pg.Client = class {
+        constructor(config) {
+            this.config = config;
+        }
+        on() {}
+        connect(cb) {
+            setImmediate(cb);
+        }
+        query(sql, paras, cb) {
+            Promise.resolve(answer(this.config, paras[0])).then(function(result) {
+                if (result instanceof Error)
+                    cb(result);
+                else
+                    cb(null, {rows: [{canceled: result}], rowCount: 1});
+            });
+        }
+        end() {}
+    };
+
+    return function restore() {
+        pg.Client = Client;
+    };
+}
+
+//a query that keeps running until settle is called
+function longQuery() {
+    var out = {};
+    out.promise = new Promise(function(resolve) {
+        out.settle = resolve;
+    });
+    return out;
+}
+
+function canceledError() {
+    var err = new Error("canceling statement due to user request");
+    err.code = "57014";
+    return err;
+}
+
+describe("cancel", function() {
+
+    var restore = null;
+
+    beforeEach(function() {
+        Postgresjs.config = Object.assign({}, config, {ssl: {rejectUnauthorized: false}, application_name: "tests"});
+    });
+
+    afterEach(function() {
+        Postgresjs.config = config;
+        if (restore!=null)
+            restore();
+        restore = null;
+    });
+
+    it("times out queries with the full connection config", function() {
+        var running = longQuery();
+        var cancelConfig = null;
+
+        restore = stubCancel(function(config, pid) {
+            cancelConfig = config;
+            assert.strictEqual(pid, 1234);
+            running.settle(canceledError());
+            return true;
+        });
+
+        var db = fakeDb(Postgresjs, null, function() {
+            return running.promise;
+        });
+
+        return db.query("select pg_sleep(10);", null, {timeout: 10}).then(function() {
+            assert.fail("resolved");
+        }, function(err) {
+            assert.ok(err.isTimeout());
+            assert.deepStrictEqual(cancelConfig.ssl, {rejectUnauthorized: false});
+            assert.strictEqual(cancelConfig.application_name, "tests");
+            assert.strictEqual(db.client.ended, false);
+        });
+    });
+
+    it("closes the connection when the cancel fails", function() {
+        var running = longQuery();
+
+        restore = stubCancel(function() {
+            return new Error("permission denied");
+        });
+
+        var db = fakeDb(Postgresjs, null, function() {
+            return running.promise;
+        });
+
+        var query = db.query("select pg_sleep(10);").then(function() {
+            assert.fail("resolved");
+        }, function(err) {
+            return err;
+        });
+
+        return new Promise(setImmediate).then(function() {
+            return db.cancel().then(function() {
+                assert.fail("resolved");
+            }, function(err) {
+                assert.ok(/permission denied/.test(err.message));
+            });
+        }).then(function() {
+            return query;
+        }).then(function(err) {
+            assert.ok(err.isCanceled());
+            assert.strictEqual(db.client.ended, true);
+        });
+    });
+
+    it("releases the connection after the cancel completed", function() {
+        var running = longQuery();
+        var events = [];
+
+        restore = stubCancel(function() {
+            //the query completes while the cancel is on its way
+            running.settle([{id: 1}]);
+            return new Promise(function(resolve) {
+                setTimeout(resolve, 20);
+            }).then(function() {
+                events.push("canceled");
+                return true;
+            });
+        });
+
+        var db = fakeDb(Postgresjs, null, function() {
+            return running.promise;
+        });
+        db.fnDone = function() {
+            events.push("released");
+        };
+
+        return db.query("select pg_sleep(10);", null, {timeout: 10}).then(function(rows) {
+            assert.deepStrictEqual(rows, [{id: 1}]);
+            return db.end();
+        }).then(function() {
+            assert.deepStrictEqual(events, ["canceled", "released"]);
+        });
+    });
+
+    it("resumes with suspend.resume", function(done) {
+        var running = longQuery();
+
+        restore = stubCancel(function() {
+            running.settle(canceledError());
+            return true;
+        });
+
+        suspend.run(function*() {
+            var db = fakeDb(Postgresjs, suspend.resume, function() {
+                return running.promise;
+            });
+            var queryErr = null;
+
+            db.query("select pg_sleep(10);", null, function(err) {
+                queryErr = err;
+            });
+            yield setImmediate(suspend.resume());
+
+            var canceled = yield db.cancel();
+            assert.strictEqual(canceled, true);
+
+            yield setImmediate(suspend.resume());
+            assert.ok(queryErr.isCanceled());
+
+            canceled = yield db.cancel();
+            assert.strictEqual(canceled, false);
+        }, done);
+    });
+});
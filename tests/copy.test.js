@@ -0,0 +1,82 @@
+"use strict";
+
+var assert = require("assert");
+var stream = require("stream");
+var Postgresjs = require("../Postgresjs");
+var fakeDb = require("./fakeClient").fakeDb;
+
+Postgresjs.config = {host: "127.0.0.1", database: "test", username: "test", password: "test"};
+Postgresjs.logLevel = "silent";
+
+function failCopy() {
+    return new Error("copy failed");
+}
+
+function sink() {
+    return new stream.Writable({
+        write: function(chunk, encoding, cb) {
+            cb();
+        }
+    });
+}
+
+describe("copy", function() {
+
+    describe("copyTo", function() {
+
+        it("copies a table", function() {
+            var db = fakeDb(Postgresjs, null, failCopy);
+            return db.copyTo("app.users", sink(), {columns: ["id", "email"], format: "csv"}).then(function() {
+                assert.fail("resolved");
+            }, function(err) {
+                assert.strictEqual(err.message, "copy failed");
+                assert.ok(/^COPY "app"."users" \("id","email"\) TO STDOUT/.test(db.client.sql[0]));
+            });
+        });
+
+        it("copies a statement with the query option", function() {
+            var db = fakeDb(Postgresjs, null, failCopy);
+            return db.copyTo("select id from users where banned;", sink(), {query: true}).then(function() {
+                assert.fail("resolved");
+            }, function(err) {
+                assert.strictEqual(err.message, "copy failed");
+                assert.ok(/^COPY \(select id from users where banned\) TO STDOUT/.test(db.client.sql[0]));
+            });
+        });
+
+        it("rejects a statement without the query option", function() {
+            var db = fakeDb(Postgresjs, null, failCopy);
+            return db.copyTo("select id from users", sink()).then(function() {
+                assert.fail("resolved");
+            }, function(err) {
+                assert.ok(err.isValidationError());
+                assert.deepStrictEqual(db.client.sql, []);
+            });
+        });
+    });
+
+    describe("copyFrom", function() {
+
+        it("destroys the source when not connected", function() {
+            var db = new Postgresjs();
+            var source = stream.Readable.from(["1\n"]);
+            return db.copyFrom("users", ["id"], source).then(function() {
+                assert.fail("resolved");
+            }, function(err) {
+                assert.strictEqual(err.code, Postgresjs.DatabaseError.NOT_CONNECTED);
+                assert.ok(source.destroyed);
+            });
+        });
+
+        it("destroys the source on validation errors", function() {
+            var db = fakeDb(Postgresjs, null, failCopy);
+            var source = stream.Readable.from(["1\n"]);
+            return db.copyFrom("bad table", ["id"], source).then(function() {
+                assert.fail("resolved");
+            }, function(err) {
+                assert.ok(err.isValidationError());
+                assert.ok(source.destroyed);
+            });
+        });
+    });
+});
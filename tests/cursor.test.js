@@ -0,0 +1,236 @@
+"use strict";
+
+var assert = require("assert");
+var Postgresjs = require("../Postgresjs");
+var fakeDb = require("./fakeClient").fakeDb;
+
+Postgresjs.config = {host: "127.0.0.1", database: "test", username: "test", password: "test"};
+Postgresjs.logLevel = "silent";
+
+/**
+ * Answers FETCH with the next rows of a table of total rows, failing the FETCH
+ * numbered failAt (1-based) if given.
+ */
+function rowsHandler(total, failAt) {
+    var offset = 0;
+    var fetches = 0;
+
+    return function(sql) {
+        var match = /^FETCH FORWARD (\d+)/.exec(sql);
+        if (match == null)
+            return [];
+
+        if (++fetches === failAt)
+            return new Error("canceling statement due to statement timeout");
+
+        var rows = [];
+        var end = Math.min(offset + Number(match[1]), total);
+        for (; offset < end; offset++) {
+            rows.push({id: offset + 1});
+        }
+        return rows;
+    };
+}
+
+function statements(db) {
+    return db.client.sql.map(function(sql) {
+        return sql.replace(/postgresjs_cursor_\w+;?/, "postgresjs_cursor").split(" ").slice(0, 2).join(" ");
+    });
+}
+
+describe("cursor", function() {
+
+    it("declares cursors with unique names", function() {
+        var db = fakeDb(Postgresjs, null, function() {
+            return [];
+        });
+
+        var read = function() {
+            return db.cursorForEach("select id from users", null, function(i, row, next) {
+                next();
+            });
+        };
+
+        return read().then(read).then(function() {
+            var names = db.client.sql.filter(function(sql) {
+                return /^DECLARE /.test(sql);
+            }).map(function(sql) {
+                return sql.split(" ")[1];
+            });
+
+            assert.strictEqual(names.length, 2);
+            assert.notStrictEqual(names[0], names[1]);
+            for (let name of names) {
+                assert.ok(/^postgresjs_cursor_\d+_[0-9a-f]{8}$/.test(name), name);
+            }
+        });
+    });
+
+    it("fetches the rows in batches", function() {
+        var db = fakeDb(Postgresjs, null, rowsHandler(5));
+        var ids = [];
+
+        return db.cursorForEach("select id from users;", null, {batchSize: 2}, function(i, row, next) {
+            assert.strictEqual(i, ids.length);
+            ids.push(row.id);
+            next();
+        }).then(function(count) {
+            assert.strictEqual(count, 5);
+            assert.deepStrictEqual(ids, [1, 2, 3, 4, 5]);
+            assert.deepStrictEqual(statements(db), ["START TRANSACTION;", "DECLARE postgresjs_cursor",
+                "FETCH FORWARD", "FETCH FORWARD", "FETCH FORWARD", "COMMIT;"]);
+            assert.ok(/^DECLARE \S+ NO SCROLL CURSOR FOR select id from users$/.test(db.client.sql[1]));
+            assert.strictEqual(db.transactionDepth, 0);
+        });
+    });
+
+    it("fetches once more when the last batch is full", function() {
+        var db = fakeDb(Postgresjs, null, rowsHandler(4));
+
+        return db.cursorForEach("select id from users", null, {batchSize: 2}, function(i, row, next) {
+            next();
+        }).then(function(count) {
+            assert.strictEqual(count, 4);
+            assert.strictEqual(statements(db).filter(function(sql) {
+                return sql == "FETCH FORWARD";
+            }).length, 3);
+        });
+    });
+
+    it("stops when the iterator returns false", function() {
+        var db = fakeDb(Postgresjs, null, rowsHandler(10));
+
+        return db.cursorForEach("select id from users", null, {batchSize: 5}, function(i, row, next) {
+            if (i == 2)
+                return false;
+            next();
+        }).then(function(count) {
+            assert.strictEqual(count, 3);
+            assert.deepStrictEqual(statements(db), ["START TRANSACTION;", "DECLARE postgresjs_cursor",
+                "FETCH FORWARD", "COMMIT;"]);
+        });
+    });
+
+    it("rolls back its own transaction on an error", function() {
+        var db = fakeDb(Postgresjs, null, rowsHandler(10, 2));
+        var count = 0;
+
+        return db.cursorForEach("select id from users", null, {batchSize: 4}, function(i, row, next) {
+            count++;
+            next();
+        }).then(function() {
+            assert.fail("expected an error");
+        }, function(err) {
+            assert.ok(/statement timeout/.test(err.message));
+            assert.strictEqual(count, 4);
+            assert.strictEqual(db.client.sql[db.client.sql.length - 1], "ROLLBACK;");
+            assert.strictEqual(db.transactionDepth, 0);
+        });
+    });
+
+    it("uses the transaction that is already open", function() {
+        var db = fakeDb(Postgresjs, null, rowsHandler(3));
+
+        return db.transaction(async function(db) {
+            var count = await db.cursorForEach("select id from users", null, {batchSize: 2},
+                function(i, row, next) {
+                    next();
+                });
+
+            assert.strictEqual(count, 3);
+            assert.strictEqual(db.transactionDepth, 1);
+        }).then(function() {
+            assert.deepStrictEqual(statements(db), ["START TRANSACTION;", "DECLARE postgresjs_cursor",
+                "FETCH FORWARD", "FETCH FORWARD", "CLOSE postgresjs_cursor", "COMMIT;"]);
+        });
+    });
+
+    it("leaves the open transaction to the caller on an error", function() {
+        var db = fakeDb(Postgresjs, null, rowsHandler(10, 1));
+        db.transactionDepth = 1;
+
+        return db.cursorForEach("select id from users", null, function(i, row, next) {
+            next();
+        }).then(function() {
+            assert.fail("expected an error");
+        }, function(err) {
+            assert.ok(/statement timeout/.test(err.message));
+            assert.deepStrictEqual(statements(db), ["DECLARE postgresjs_cursor", "FETCH FORWARD"]);
+            assert.strictEqual(db.transactionDepth, 1);
+        });
+    });
+
+    describe("stream", function() {
+
+        it("reads the rows in batches", async function() {
+            var db = fakeDb(Postgresjs, null, rowsHandler(5));
+            var ids = [];
+
+            for await (const row of db.stream("select id from users;", null, {batchSize: 2})) {
+                ids.push(row.id);
+            }
+
+            assert.deepStrictEqual(ids, [1, 2, 3, 4, 5]);
+            assert.deepStrictEqual(statements(db), ["START TRANSACTION;", "DECLARE postgresjs_cursor",
+                "FETCH FORWARD", "FETCH FORWARD", "FETCH FORWARD", "COMMIT;"]);
+            assert.strictEqual(db.transactionDepth, 0);
+        });
+
+        it("closes the cursor when the loop breaks early", async function() {
+            var db = fakeDb(Postgresjs, null, rowsHandler(10));
+            db.transactionDepth = 1;
+            var ids = [];
+            var rows = db.stream("select id from users", null, {batchSize: 3});
+            var closed = new Promise(function(resolve) {
+                rows.on("close", resolve);
+            });
+
+            for await (const row of rows) {
+                ids.push(row.id);
+                if (ids.length == 2)
+                    break;
+            }
+            await closed;
+
+            assert.deepStrictEqual(ids, [1, 2]);
+            var sql = statements(db);
+            assert.strictEqual(sql[sql.length - 1], "CLOSE postgresjs_cursor");
+            assert.strictEqual(db.transactionDepth, 1);
+        });
+
+        it("ends its own transaction when the loop breaks early", async function() {
+            var db = fakeDb(Postgresjs, null, rowsHandler(10));
+
+            var rows = db.stream("select id from users", null, {batchSize: 3});
+            var closed = new Promise(function(resolve) {
+                rows.on("close", resolve);
+            });
+
+            for await (const row of rows) {
+                if (row.id == 1)
+                    break;
+            }
+            await closed;
+
+            var sql = db.client.sql;
+            assert.strictEqual(sql[0], "START TRANSACTION;");
+            assert.strictEqual(sql[sql.length - 1], "COMMIT;");
+            assert.strictEqual(db.transactionDepth, 0);
+        });
+
+        it("fails the stream on an error mid-stream", async function() {
+            var db = fakeDb(Postgresjs, null, rowsHandler(10, 2));
+            var ids = [];
+
+            await assert.rejects(async function() {
+                for await (const row of db.stream("select id from users", null, {batchSize: 3})) {
+                    ids.push(row.id);
+                }
+            }, /statement timeout/);
+
+            assert.deepStrictEqual(ids, [1, 2, 3]);
+            assert.strictEqual(db.client.sql[db.client.sql.length - 1], "ROLLBACK;");
+            assert.strictEqual(db.transactionDepth, 0);
+        });
+    });
+});
@@ -0,0 +1,116 @@
+"use strict";
+
+var assert = require("assert");
+var Postgresjs = require("../Postgresjs");
+var fakeDb = require("./fakeClient").fakeDb;
+
+var DatabaseError = Postgresjs.DatabaseError;
+
+Postgresjs.config = {host: "127.0.0.1", database: "test", username: "test", password: "test"};
+Postgresjs.logLevel = "silent";
+
+//an error as pg returns it for a failed statement
+function pgError(message, fields) {
+    return Object.assign(new Error(message), {severity: "ERROR"}, fields);
+}
+
+var uniqueViolation = pgError("duplicate key value violates unique constraint \"users_email_key\"", {
+    code: "23505",
+    detail: "Key (email)=(a@b.c) already exists.",
+    schema: "public",
+    table: "users",
+    constraint: "users_email_key",
+    file: "nbtinsert.c",
+    line: "664",
+    routine: "_bt_check_unique"
+});
+
+describe("DatabaseError", function() {
+
+    describe("from", function() {
+
+        it("keeps the fields of pg errors", function() {
+            var err = DatabaseError.from(uniqueViolation, {sql: "insert", paras: [1]});
+
+            assert.ok(err instanceof DatabaseError);
+            assert.strictEqual(err.message, uniqueViolation.message);
+            assert.strictEqual(err.code, "23505");
+            assert.strictEqual(err.severity, "ERROR");
+            assert.strictEqual(err.detail, "Key (email)=(a@b.c) already exists.");
+            assert.strictEqual(err.table, "users");
+            assert.strictEqual(err.constraint, "users_email_key");
+            assert.strictEqual(err.routine, "_bt_check_unique");
+            assert.strictEqual(err.sql, "insert");
+            assert.deepStrictEqual(err.paras, [1]);
+            assert.strictEqual(err.cause, uniqueViolation);
+        });
+
+        it("keeps column, hint and position", function() {
+            var err = DatabaseError.from(pgError("column \"nam\" does not exist", {
+                code: "42703",
+                hint: "Perhaps you meant to reference the column \"users.name\".",
+                position: "8"
+            }));
+            assert.strictEqual(err.hint, "Perhaps you meant to reference the column \"users.name\".");
+            assert.strictEqual(err.position, "8");
+
+            err = DatabaseError.from(pgError("null value in column \"name\"", {code: "23502", column: "name"}));
+            assert.strictEqual(err.column, "name");
+            assert.ok(err.isNotNullViolation());
+        });
+
+        it("returns DatabaseErrors unchanged", function() {
+            var err = new DatabaseError("Query timed out.", {code: DatabaseError.QUERY_TIMEOUT});
+            assert.strictEqual(DatabaseError.from(err, {sql: "select"}), err);
+        });
+
+        it("uses the default message without an error", function() {
+            var err = DatabaseError.from(null, null, "Unspecified Database Query Error.");
+            assert.strictEqual(err.message, "Unspecified Database Query Error.");
+            assert.strictEqual(err.code, null);
+            assert.strictEqual(err.cause, undefined);
+        });
+    });
+
+    it("replaces the stack with the given one", function() {
+        var stack = new Error("here").stack;
+        var err = new DatabaseError("Failed.", {stack: stack});
+        assert.strictEqual(err.stack, "DatabaseError: Failed." + stack.substr(stack.indexOf("\n")));
+    });
+
+    it("tells the kind of error by its code", function() {
+        function is(code, method) {
+            return new DatabaseError("", {code: code})[method]();
+        }
+
+        assert.ok(is("23505", "isUniqueViolation"));
+        assert.ok(is("23503", "isForeignKeyViolation"));
+        assert.ok(is("23514", "isCheckViolation"));
+        assert.ok(is("40001", "isSerializationFailure"));
+        assert.ok(is("40P01", "isDeadlock"));
+        assert.ok(is(DatabaseError.QUERY_TIMEOUT, "isTimeout"));
+        assert.ok(is(DatabaseError.QUERY_CANCELED, "isCanceled"));
+        assert.ok(is("57014", "isCanceled"));
+        assert.ok(is(DatabaseError.VALIDATION, "isValidationError"));
+
+        assert.ok(!is("23503", "isUniqueViolation"));
+        assert.ok(!is("40P01", "isSerializationFailure"));
+        assert.ok(!is("57014", "isTimeout"));
+    });
+
+    it("is returned by queries with the fields of the pg error", function() {
+        var db = fakeDb(Postgresjs, null, function() {
+            return uniqueViolation;
+        });
+        return db.query("insert into users (email) values (?);", ["a@b.c"]).then(function() {
+            assert.fail("resolved");
+        }, function(err) {
+            assert.ok(err instanceof DatabaseError);
+            assert.ok(err.isUniqueViolation());
+            assert.strictEqual(err.constraint, "users_email_key");
+            assert.strictEqual(err.sql, "insert into users (email) values ($1);");
+            assert.deepStrictEqual(err.paras, ["a@b.c"]);
+            assert.ok(/errors\.test\.js/.test(err.stack));
+        });
+    });
+});
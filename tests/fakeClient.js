@@ -0,0 +1,88 @@
+"use strict";
+
+/**
+ * Stands in for a pg client, so the library can be tested without a database.
+ * Each query is answered by the handler, called as handler(sql, paras, types), returning
+ * an array of rows, a result ({command, rows, rowCount}) or an Error, or a Promise of them
+ * for queries that keep running.
+ */
+class FakeClient {
+
+    constructor(handler) {
+        this.handler = handler || function() { return []; };
+        this.queries = [];
+        this.processID = 1234;
+        this.ended = false;
+        this.running = new Set();
+    }
+
+    query(query, paras, cb) {
+        if (typeof paras === "function") {
+            cb = paras;
+            paras = null;
+        }
+
+        var sql = typeof query === "string" ? query : query.text;
+        this.queries.push({sql: sql, paras: paras, name: query.name || null});
+
+        var result = this.handler(sql, paras, query.types || null);
+
+        //streams such as COPY are only failed with the handler's error
+        if (typeof query.submit === "function") {
+            if (result instanceof Error)
+                setImmediate(function() {
+                    query.destroy(result);
+                });
+            return query;
+        }
+
+        var running = this.running;
+        running.add(cb);
+
+        Promise.resolve(result).then(function(result) {
+            setImmediate(function() {
+                if (!running.delete(cb))
+                    return;
+
+                if (result instanceof Error)
+                    cb(result);
+                else if (Array.isArray(result))
+                    cb(null, {rows: result, rowCount: result.length});
+                else
+                    cb(null, result);
+            });
+        });
+    }
+
+    end() {
+        this.ended = true;
+
+        //running queries fail like they do when the connection is closed
+        var running = Array.from(this.running);
+        this.running.clear();
+        for (let cb of running) {
+            cb(new Error("Connection terminated"));
+        }
+    }
+
+    get sql() {
+        return this.queries.map(function(query) {
+            return query.sql;
+        });
+    }
+}
+
+/**
+ * Returns a Postgresjs instance that appears started, using a FakeClient.
+ */
+function fakeDb(Postgresjs, resume, handler) {
+    var db = new Postgresjs(resume);
+    db.client = new FakeClient(handler);
+    db.opened = new Date();
+    return db;
+}
+
+module.exports = {
+    FakeClient: FakeClient,
+    fakeDb: fakeDb
+};
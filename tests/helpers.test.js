@@ -0,0 +1,368 @@
+"use strict";
+
+var assert = require("assert");
+var Postgresjs = require("../Postgresjs");
+var fakeDb = require("./fakeClient").fakeDb;
+
+Postgresjs.config = {host: "127.0.0.1", database: "test", username: "test", password: "test"};
+Postgresjs.logLevel = "silent";
+
+describe("helpers", function() {
+
+    describe("mergeHelper", function() {
+
+        var warnings;
+
+        beforeEach(function() {
+            warnings = [];
+            Postgresjs.logger = Object.assign({}, Postgresjs.silentLogger, {
+                warn: function(message) {
+                    warnings.push(message);
+                }
+            });
+            Postgresjs.logLevel = "warn";
+        });
+
+        afterEach(function() {
+            Postgresjs.logger = null;
+            Postgresjs.logLevel = "silent";
+        });
+
+        it("uses a single statement with the conflict option", function() {
+            var db = fakeDb(Postgresjs, null, function() {
+                return [{postgresjs_inserted: true}];
+            });
+
+            return db.mergeHelper({
+                table: "users",
+                columns: {username: "tester", email: "test@test.com"},
+                conflict: ["username"]
+            }).then(function(action) {
+                assert.strictEqual(action, "insert");
+                assert.strictEqual(db.client.sql.length, 1);
+                assert.ok(/ON CONFLICT \("username"\) DO UPDATE SET "email"=EXCLUDED."email"/.test(db.client.sql[0]));
+                assert.deepStrictEqual(warnings, []);
+            });
+        });
+
+        it("warns that the update then insert fallback is deprecated", function() {
+            var db = fakeDb(Postgresjs, null, function() {
+                return [{id: 1}];
+            });
+
+            return db.mergeHelper({
+                table: "users",
+                columns: {username: "tester", email: "test@test.com"},
+                where: "username=?",
+                whereParas: ["tester"]
+            }).then(function(action) {
+                assert.strictEqual(action, "update");
+                assert.strictEqual(warnings.length, 1);
+                assert.ok(/deprecated/.test(warnings[0]));
+            });
+        });
+
+        it("numbers the parameters of returned expressions after the values", function() {
+            var db = fakeDb(Postgresjs, null, function() {
+                return [{postgresjs_inserted: true, n: "a"}];
+            });
+
+            return db.mergeHelper({
+                table: "users",
+                columns: {id: 1, name: "a"},
+                conflict: ["id"],
+                returning: [Postgresjs.raw("coalesce(name, ?) AS n", ["x"])]
+            }).then(function(action) {
+                assert.strictEqual(action, "insert");
+                assert.ok(/VALUES \(\$1,\$2\) ON CONFLICT/.test(db.client.sql[0]));
+                assert.ok(/RETURNING \(xmax = 0\) AS postgresjs_inserted,coalesce\(name, \$3\) AS n ;$/
+                    .test(db.client.sql[0]));
+                assert.deepStrictEqual(db.client.queries[0].paras, [1, "a", "x"]);
+                assert.deepStrictEqual(db.rows, [{n: "a"}]);
+            });
+        });
+
+        it("binds the parameters of returned expressions in both fallback statements", function() {
+            var db = fakeDb(Postgresjs, null, function(sql) {
+                return /^update/.test(sql) ? [] : [{n: "a"}];
+            });
+
+            return db.mergeHelper({
+                table: "users",
+                columns: {name: "a"},
+                where: "id=?",
+                whereParas: [1],
+                returning: [Postgresjs.raw("coalesce(name, ?) AS n", ["x"])]
+            }).then(function(action) {
+                assert.strictEqual(action, "insert");
+                assert.strictEqual(db.client.sql[0],
+                    "update \"users\" set \"name\"=$1 WHERE id=$2 RETURNING coalesce(name, $3) AS n");
+                assert.deepStrictEqual(db.client.queries[0].paras, ["a", 1, "x"]);
+                assert.strictEqual(db.client.sql[1],
+                    "insert into \"users\" (\"name\") VALUES ($1) RETURNING coalesce(name, $2) AS n ;");
+                assert.deepStrictEqual(db.client.queries[1].paras, ["a", "x"]);
+            });
+        });
+
+        it("passes the query options with the conflict option", function() {
+            var db = fakeDb(Postgresjs, null, function() {
+                return [{postgresjs_inserted: false}];
+            });
+
+            return db.mergeHelper({
+                table: "users",
+                columns: {username: "tester", email: "test@test.com"},
+                conflict: ["username"],
+                name: "merge_user"
+            }).then(function(action) {
+                assert.strictEqual(action, "update");
+                assert.ok(/^merge_user/.test(db.client.queries[0].name));
+
+                var controller = new AbortController();
+                controller.abort();
+                return db.mergeHelper({
+                    table: "users",
+                    columns: {username: "tester"},
+                    conflict: ["username"],
+                    signal: controller.signal
+                });
+            }).then(function() {
+                assert.fail("resolved");
+            }, function(err) {
+                assert.ok(err.isCanceled());
+                assert.strictEqual(db.client.queries.length, 1);
+            });
+        });
+
+        it("runs the fallback statements with the query options", function() {
+            var inserted = false;
+            var db = fakeDb(Postgresjs, null, function(sql) {
+                if (/^update/.test(sql))
+                    return inserted ? [{id: 1}] : [];
+
+                //another call inserted the row since the update
+                inserted = true;
+                var err = new Error("duplicate key value violates unique constraint \"users_username_key\"");
+                err.code = "23505";
+                return err;
+            });
+
+            return db.mergeHelper({
+                table: "users",
+                columns: {username: "tester", email: "test@test.com"},
+                where: "username=?",
+                whereParas: ["tester"],
+                returning: ["id"],
+                name: "merge_user"
+            }).then(function(action) {
+                assert.strictEqual(action, "update");
+                assert.deepStrictEqual(db.client.queries.map(function(query) {
+                    return query.name.replace(/_\d+$/, "");
+                }), ["merge_user_update", "merge_user_insert", "merge_user_update"]);
+                assert.deepStrictEqual(db.rows, [{id: 1}]);
+            });
+        });
+
+        it("stops merging after the iteration limit", function() {
+            var db = fakeDb(Postgresjs, null, function(sql) {
+                if (/^update/.test(sql))
+                    return [];
+                var err = new Error("duplicate key value violates unique constraint");
+                err.code = "23505";
+                return err;
+            });
+
+            return db.merge("insert into users (id) values (?);", [1], "update users set id=? where id=?;", [1, 1])
+                .then(function() {
+                    assert.fail("resolved");
+                }, function(err) {
+                    assert.strictEqual(err.code, Postgresjs.DatabaseError.MERGE_LIMIT);
+                    assert.strictEqual(db.client.queries.length, 20);
+                    assert.deepStrictEqual(db.client.queries[0].paras, [1, 1]);
+                });
+        });
+    });
+
+    describe("bulkInsertHelper", function() {
+
+        var users = [
+            {username: "a", email: "a@test.com"},
+            {username: "b"},
+            {username: "c", email: "c@test.com"},
+            {username: "d", email: "d@test.com"},
+            {username: "e", email: "e@test.com"}
+        ];
+
+        //returns an id for each inserted row, failing the statement that inserts failOn
+        function handler(failOn) {
+            var id = 0;
+            return function(sql, paras) {
+                if (!/^INSERT/.test(sql))
+                    return [];
+                if (failOn!=null && paras.indexOf(failOn) != -1)
+                    return new Error("duplicate key value violates unique constraint");
+                return (sql.match(/\(\$\d+|\(DEFAULT/g) || []).map(function() {
+                    return {id: ++id};
+                });
+            };
+        }
+
+        it("splits the rows into chunks", function() {
+            var db = fakeDb(Postgresjs, null, handler());
+            var progress = [];
+
+            return db.bulkInsertHelper({
+                table: "users",
+                rows: users,
+                chunkSize: 2,
+                returning: ["id"],
+                onProgress: function(inserted, total) {
+                    progress.push([inserted, total]);
+                }
+            }).then(function(rows) {
+                assert.deepStrictEqual(db.client.sql, [
+                    "INSERT INTO \"users\" (\"username\",\"email\") VALUES ($1,$2),($3,DEFAULT) RETURNING \"id\" ;",
+                    "INSERT INTO \"users\" (\"username\",\"email\") VALUES ($1,$2),($3,$4) RETURNING \"id\" ;",
+                    "INSERT INTO \"users\" (\"username\",\"email\") VALUES ($1,$2) RETURNING \"id\" ;"
+                ]);
+                assert.deepStrictEqual(db.client.queries[1].paras, ["c", "c@test.com", "d", "d@test.com"]);
+                assert.deepStrictEqual(progress, [[2, 5], [4, 5], [5, 5]]);
+                assert.deepStrictEqual(rows, [{id: 1}, {id: 2}, {id: 3}, {id: 4}, {id: 5}]);
+                assert.strictEqual(db.rowCount, 5);
+            });
+        });
+
+        it("binds the parameters of returned expressions in every chunk", function() {
+            var db = fakeDb(Postgresjs, null, handler());
+
+            return db.bulkInsertHelper({
+                table: "users",
+                rows: users.slice(0, 3),
+                columns: ["username"],
+                chunkSize: 2,
+                returning: [Postgresjs.raw("coalesce(email, ?) AS email", ["none"])]
+            }).then(function() {
+                assert.strictEqual(db.client.sql[0], "INSERT INTO \"users\" (\"username\") VALUES ($1),($2) " +
+                    "RETURNING coalesce(email, $3) AS email ;");
+                assert.deepStrictEqual(db.client.queries[0].paras, ["a", "b", "none"]);
+                assert.deepStrictEqual(db.client.queries[1].paras, ["c", "none"]);
+            });
+        });
+
+        it("stays under the parameter limit", function() {
+            var rows = [];
+            for (let i = 0; i < 40000; i++) {
+                rows.push({a: i, b: i});
+            }
+
+            var db = fakeDb(Postgresjs, null, function() {
+                return [];
+            });
+
+            return db.bulkInsertHelper({table: "pairs", rows: rows}).then(function() {
+                assert.deepStrictEqual(db.client.queries.map(function(query) {
+                    return query.paras.length;
+                }), [65534, 14466]);
+            });
+        });
+
+        it("rolls back every chunk when one fails in a transaction", function() {
+            var db = fakeDb(Postgresjs, null, handler("d"));
+            var progress = [];
+
+            return db.bulkInsertHelper({
+                table: "users",
+                rows: users,
+                chunkSize: 2,
+                transaction: true,
+                onProgress: function(inserted) {
+                    progress.push(inserted);
+                }
+            }).then(function() {
+                assert.fail("resolved");
+            }, function(err) {
+                assert.ok(err instanceof Postgresjs.DatabaseError);
+                assert.deepStrictEqual(db.client.sql.map(function(sql) {
+                    return sql.split(" (")[0];
+                }), ["START TRANSACTION;", "INSERT INTO \"users\"", "INSERT INTO \"users\"", "ROLLBACK;"]);
+                assert.deepStrictEqual(progress, [2]);
+                assert.strictEqual(db.transactionDepth, 0);
+            });
+        });
+
+        it("stops at the failed chunk without a transaction", function() {
+            var db = fakeDb(Postgresjs, null, handler("c"));
+
+            return db.bulkInsertHelper({table: "users", rows: users, chunkSize: 2}).then(function() {
+                assert.fail("resolved");
+            }, function() {
+                assert.strictEqual(db.client.queries.length, 2);
+            });
+        });
+
+        it("passes the query options to each chunk", function() {
+            var db = fakeDb(Postgresjs, null, handler());
+            var count = 0;
+
+            return db.bulkInsertHelper({table: "users", rows: users, chunkSize: 3, name: "import_users"})
+                .then(function() {
+                    var inserts = db.client.queries.filter(function(query) {
+                        return /^INSERT/.test(query.sql);
+                    });
+                    assert.deepStrictEqual(inserts.map(function(query) {
+                        return /^import_users_\d+$/.test(query.name);
+                    }), [true, true]);
+                    count = db.client.queries.length;
+
+                    var controller = new AbortController();
+                    controller.abort();
+                    return db.bulkInsertHelper({table: "users", rows: users, signal: controller.signal});
+                }).then(function() {
+                    assert.fail("resolved");
+                }, function(err) {
+                    assert.ok(err.isCanceled());
+                    assert.strictEqual(db.client.queries.length, count);
+                });
+        });
+    });
+
+    describe("paginateHelper", function() {
+
+        //rows of a table ordered by a timestamp column, as the database returns them
+        var events = [
+            {id: 1, created: new Date(2024, 0, 1, 10), key: "2024-01-01 10:00:00.000001"},
+            {id: 2, created: new Date(2024, 0, 1, 10), key: "2024-01-01 10:00:00.000002"},
+            {id: 3, created: new Date(2024, 0, 1, 10), key: "2024-01-01 10:00:00.000003"}
+        ];
+
+        function handler(sql, paras) {
+            var after = paras!=null && paras.length > 0 ? paras[0] : "";
+            return events.filter(function(event) {
+                return event.key > after;
+            }).map(function(event) {
+                return {id: event.id, created: event.created, postgresjs_key0: event.key};
+            }).slice(0, 2);
+        }
+
+        it("selects the sort values as text", function() {
+            var db = fakeDb(Postgresjs, null, handler);
+            return db.paginateHelper({table: "events", columns: ["id", "created"], orderBy: ["created"], limit: 1})
+                .then(function(page) {
+                    assert.ok(/SELECT "id","created","created"::text AS "postgresjs_key0" FROM "events"/
+                        .test(db.client.sql[0]));
+                    assert.deepStrictEqual(page.rows, [{id: 1, created: events[0].created}]);
+                });
+        });
+
+        it("continues after timestamps with microseconds", function() {
+            var db = fakeDb(Postgresjs, null, handler);
+            return db.paginateHelper({table: "events", orderBy: ["created"], limit: 1}).then(function(page) {
+                return db.paginateHelper({table: "events", orderBy: ["created"], limit: 1, cursor: page.nextCursor});
+            }).then(function(page) {
+                assert.deepStrictEqual(db.client.queries[1].paras, ["2024-01-01 10:00:00.000001"]);
+                assert.deepStrictEqual(page.rows.map(function(row) { return row.id; }), [2]);
+                assert.ok(page.prevCursor!=null);
+            });
+        });
+    });
+});
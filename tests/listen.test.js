@@ -0,0 +1,288 @@
+"use strict";
+
+var assert = require("assert");
+var EventEmitter = require("events");
+var pg = require("pg");
+var Postgresjs = require("../Postgresjs");
+var fakeDb = require("./fakeClient").fakeDb;
+
+Postgresjs.config = {host: "127.0.0.1", database: "test", username: "test", password: "test"};
+Postgresjs.logLevel = "silent";
+
+/**
+ * Replaces pg.Client for the listen connection. Every client created is kept in clients,
+ * with the statements it ran in sql. connect(i) and query(sql) return an Error to fail.
+ */
+function stubClients(options) {
+    var Client = pg.Client;
+    var clients = [];
+
+    pg.Client = class extends EventEmitter {
+        constructor(config) {
+            super();
+            this.config = config;
+            this.sql = [];
+            this.ended = false;
+            clients.push(this);
+        }
+        connect(cb) {
+            var err = options.connect ? options.connect(clients.length - 1) : null;
+            setImmediate(function() {
+                cb(err || null);
+            });
+        }
+        query(sql, cb) {
+            this.sql.push(sql);
+            var err = options.query ? options.query(sql) : null;
+            setImmediate(function() {
+                cb(err || null, {rows: [], rowCount: 0});
+            });
+        }
+        end(cb) {
+            this.ended = true;
+            if (cb)
+                setImmediate(cb);
+        }
+        notify(channel, payload) {
+            this.emit("notification", {channel: channel, payload: payload, processId: 42});
+        }
+    };
+
+    clients.restore = function() {
+        pg.Client = Client;
+    };
+    return clients;
+}
+
+var setTimeout = global.setTimeout;
+
+//runs the reconnect timers without waiting, keeping their delays
+function fastTimers() {
+    var timers = {delays: []};
+
+    global.setTimeout = function(fn, delay) {
+        timers.delays.push(delay);
+        return setTimeout(fn, 0);
+    };
+
+    timers.restore = function() {
+        global.setTimeout = setTimeout;
+    };
+    return timers;
+}
+
+function wait(ms) {
+    return new Promise(function(resolve) {
+        setTimeout(resolve, ms);
+    });
+}
+
+describe("listen", function() {
+
+    var clients = null;
+    var timers = null;
+
+    afterEach(function() {
+        if (clients!=null)
+            clients.restore();
+        if (timers!=null)
+            timers.restore();
+        clients = timers = null;
+    });
+
+    it("subscribes and passes notifications to the handlers", async function() {
+        clients = stubClients({});
+        var db = new Postgresjs();
+        var received = [];
+
+        await db.listen("cache", function(payload, notification) {
+            received.push([payload, notification]);
+        });
+
+        assert.strictEqual(clients.length, 1);
+        assert.deepStrictEqual(clients[0].sql, ["LISTEN \"cache\";"]);
+
+        clients[0].notify("cache", "user:5");
+        clients[0].notify("other", "ignored");
+
+        assert.deepStrictEqual(received, [["user:5",
+            {channel: "cache", payload: "user:5", processId: 42}]]);
+
+        await db.unlisten();
+    });
+
+    it("parses JSON payloads", async function() {
+        clients = stubClients({});
+        var db = new Postgresjs();
+        var received = [];
+
+        await db.listen("cache", function(payload) {
+            received.push(payload);
+        }, {json: true});
+
+        clients[0].notify("cache", "{\"key\":\"user:5\"}");
+        clients[0].notify("cache", "not json");
+        clients[0].notify("cache", "");
+
+        assert.deepStrictEqual(received, [{key: "user:5"}, "not json", ""]);
+
+        await db.unlisten();
+    });
+
+    it("shares the connection between channels and handlers", async function() {
+        clients = stubClients({});
+        var db = new Postgresjs();
+        var calls = [];
+
+        await Promise.all([
+            db.listen("a", function() { calls.push("a1"); }),
+            db.listen("a", function() { calls.push("a2"); })
+        ]);
+        await db.listen("b", function() { calls.push("b"); });
+
+        assert.strictEqual(clients.length, 1);
+        assert.deepStrictEqual(clients[0].sql, ["LISTEN \"a\";", "LISTEN \"b\";"]);
+
+        clients[0].notify("a", "x");
+        clients[0].notify("b", "x");
+        assert.deepStrictEqual(calls, ["a1", "a2", "b"]);
+
+        await db.unlisten();
+    });
+
+    it("closes the connection when the last channel is unsubscribed", async function() {
+        clients = stubClients({});
+        var db = new Postgresjs();
+        var calls = 0;
+
+        await db.listen("a", function() { calls++; });
+        await db.listen("b", function() { calls++; });
+
+        await db.unlisten("a");
+        assert.deepStrictEqual(clients[0].sql, ["LISTEN \"a\";", "LISTEN \"b\";", "UNLISTEN \"a\";"]);
+        clients[0].notify("a", "x");
+        assert.strictEqual(calls, 0);
+        assert.strictEqual(clients[0].ended, false);
+
+        await db.unlisten("b");
+        assert.strictEqual(clients[0].ended, true);
+        assert.strictEqual(db.listener, null);
+    });
+
+    it("requires a channel and a handler", function() {
+        var db = new Postgresjs();
+        return db.listen("", function() {}).then(function() {
+            assert.fail("expected an error");
+        }, function(err) {
+            assert.strictEqual(err.code, Postgresjs.DatabaseError.VALIDATION);
+            assert.strictEqual(db.listener, null);
+        });
+    });
+
+    it("removes the handler when the connection fails", async function() {
+        clients = stubClients({
+            connect: function(i) {
+                return i == 0 ? new Error("connect ECONNREFUSED 127.0.0.1:5432") : null;
+            }
+        });
+        var db = new Postgresjs();
+        var calls = 0;
+
+        await assert.rejects(db.listen("cache", function() { calls++; }), /ECONNREFUSED/);
+
+        assert.deepStrictEqual(db.listener.channels, {});
+        assert.strictEqual(db.listener.reconnectTimer, null);
+
+        //the next subscription opens a new connection
+        await db.listen("cache", function() { calls++; });
+        assert.strictEqual(clients.length, 2);
+        assert.deepStrictEqual(clients[1].sql, ["LISTEN \"cache\";"]);
+
+        clients[1].notify("cache", "x");
+        assert.strictEqual(calls, 1);
+
+        await db.unlisten();
+    });
+
+    it("removes the handler when LISTEN fails", async function() {
+        clients = stubClients({
+            query: function(sql) {
+                return /"b"/.test(sql) ? new Error("permission denied") : null;
+            }
+        });
+        var db = new Postgresjs();
+
+        await db.listen("a", function() {});
+        await assert.rejects(db.listen("b", function() {}), /permission denied/);
+
+        assert.deepStrictEqual(Object.keys(db.listener.channels), ["a"]);
+        assert.strictEqual(clients.length, 1);
+
+        await db.unlisten();
+    });
+
+    it("reconnects and subscribes again when the connection is lost", async function() {
+        clients = stubClients({
+            connect: function(i) {
+                return i == 1 ? new Error("connect ECONNREFUSED 127.0.0.1:5432") : null;
+            }
+        });
+        timers = fastTimers();
+        var db = new Postgresjs();
+        var calls = [];
+
+        await db.listen("a", function(payload) { calls.push(payload); });
+        await db.listen("b", function(payload) { calls.push(payload); });
+
+        clients[0].emit("error", new Error("Connection terminated unexpectedly"));
+
+        //the first attempt fails, the second subscribes again
+        while (clients.length < 3 || clients[2].sql.length == 0) {
+            await wait(5);
+        }
+
+        assert.deepStrictEqual(timers.delays, [1000, 2000]);
+        assert.deepStrictEqual(clients[2].sql, ["LISTEN \"a\"; LISTEN \"b\";"]);
+
+        //notifications of the lost connection are ignored
+        clients[0].notify("a", "old");
+        clients[2].notify("a", "new");
+        assert.deepStrictEqual(calls, ["new"]);
+
+        await db.unlisten();
+        assert.strictEqual(clients[2].ended, true);
+    });
+
+    it("stops reconnecting when unsubscribed", async function() {
+        clients = stubClients({});
+        timers = fastTimers();
+        var db = new Postgresjs();
+
+        await db.listen("a", function() {});
+        clients[0].emit("end");
+        assert.notStrictEqual(db.listener.reconnectTimer, null);
+
+        await db.unlisten();
+        await wait(10);
+        assert.strictEqual(clients.length, 1);
+    });
+});
+
+describe("notify", function() {
+
+    it("sends the payload with pg_notify", async function() {
+        var db = fakeDb(Postgresjs, null, function() {
+            return [];
+        });
+
+        await db.notify("cache", "user:5");
+        await db.notify("cache", {key: "user:5"});
+
+        assert.deepStrictEqual(db.client.queries.map(function(query) {
+            return [query.sql, query.paras];
+        }), [
+            ["SELECT pg_notify($1, $2);", ["cache", "user:5"]],
+            ["SELECT pg_notify($1, $2);", ["cache", "{\"key\":\"user:5\"}"]]
+        ]);
+    });
+});
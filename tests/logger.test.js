@@ -0,0 +1,128 @@
+"use strict";
+
+var assert = require("assert");
+var Postgresjs = require("../Postgresjs");
+var fakeDb = require("./fakeClient").fakeDb;
+
+var config = {host: "127.0.0.1", database: "test", username: "test", password: "test"};
+
+Postgresjs.config = config;
+Postgresjs.logLevel = "silent";
+
+//a logger keeping every call as {level, message, fields}
+function capturingLogger() {
+    var logger = {entries: []};
+    for (let level of ["debug", "info", "warn", "error"]) {
+        logger[level] = function(message, fields) {
+            logger.entries.push({level: level, message: message, fields: fields});
+        };
+    }
+    return logger;
+}
+
+function handler(sql) {
+    if (/fail/.test(sql))
+        return new Error("relation \"fail\" does not exist");
+    return [{id: 1}, {id: 2}];
+}
+
+describe("logger", function() {
+
+    var logger;
+
+    beforeEach(function() {
+        logger = capturingLogger();
+        Postgresjs.logger = logger;
+        Postgresjs.logLevel = "debug";
+    });
+
+    afterEach(function() {
+        Postgresjs.logger = null;
+        Postgresjs.logLevel = "silent";
+    });
+
+    it("logs completed queries with their fields", function() {
+        var db = fakeDb(Postgresjs, null, handler);
+        db.guid = "abc123";
+        return db.query("select id from users where id > ?;", [0]).then(function() {
+            assert.strictEqual(logger.entries.length, 1);
+
+            var entry = logger.entries[0];
+            assert.strictEqual(entry.level, "debug");
+            assert.ok(/^Query completed in/.test(entry.message));
+            assert.strictEqual(entry.fields.sql, "select id from users where id > $1;");
+            assert.strictEqual(entry.fields.guid, "abc123");
+            assert.strictEqual(entry.fields.rowCount, 2);
+            assert.strictEqual(typeof entry.fields.duration, "number");
+        });
+    });
+
+    it("logs failed queries with the error", function() {
+        var db = fakeDb(Postgresjs, null, handler);
+        return db.query("select id from fail where id=?;", [1]).then(function() {
+            assert.fail("resolved");
+        }, function(err) {
+            var entry = logger.entries[0];
+            assert.strictEqual(entry.level, "error");
+            assert.strictEqual(entry.fields.sql, "select id from fail where id=$1;");
+            assert.deepStrictEqual(entry.fields.paras, [1]);
+            assert.strictEqual(typeof entry.fields.duration, "number");
+            assert.strictEqual(entry.fields.error, err);
+        });
+    });
+
+    it("drops messages below the global level", function() {
+        Postgresjs.logLevel = "error";
+        var db = fakeDb(Postgresjs, null, handler);
+        return db.query("select id from users;").then(function() {
+            assert.deepStrictEqual(logger.entries, []);
+            return db.query("select id from fail;");
+        }).then(function() {
+            assert.fail("resolved");
+        }, function() {
+            assert.deepStrictEqual(logger.entries.map(function(entry) {
+                return entry.level;
+            }), ["error"]);
+        });
+    });
+
+    it("uses the logLevel of the instance config", function() {
+        var db = fakeDb(Postgresjs, null, handler);
+        db.setLocalConfig(Object.assign({}, config, {logLevel: "silent"}));
+        return db.query("select id from fail;").then(function() {
+            assert.fail("resolved");
+        }, function() {
+            assert.deepStrictEqual(logger.entries, []);
+        });
+    });
+
+    it("uses the logger of the instance over the global one", function() {
+        var own = capturingLogger();
+        var db = fakeDb(Postgresjs, null, handler);
+        db.setLogger(own);
+        return db.query("select id from users;").then(function() {
+            assert.strictEqual(own.entries.length, 1);
+            assert.deepStrictEqual(logger.entries, []);
+
+            db.setLogger(null);
+            return db.query("select id from users;");
+        }).then(function() {
+            assert.strictEqual(own.entries.length, 1);
+            assert.strictEqual(logger.entries.length, 1);
+        });
+    });
+
+    it("discards everything with the silent logger", function() {
+        Postgresjs.logger = Postgresjs.silentLogger;
+        var db = fakeDb(Postgresjs, null, handler);
+        return db.query("select id from users;").then(function() {
+            assert.deepStrictEqual(logger.entries, []);
+        });
+    });
+
+    it("throws for unknown levels", function() {
+        assert.throws(function() {
+            Postgresjs.logLevel = "verbose";
+        }, /Unknown log level/);
+    });
+});
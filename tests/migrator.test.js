@@ -0,0 +1,402 @@
+"use strict";
+
+var assert = require("assert");
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+var Postgresjs = require("../Postgresjs");
+var FakeClient = require("./fakeClient").FakeClient;
+
+Postgresjs.logLevel = "silent";
+
+var config = {host: "127.0.0.1", database: "migrations", username: "test", password: "test"};
+
+/**
+ * A database holding the migrations table, answering the statements of the migrator
+ * on the fake clients of the pool of config. Every statement is kept in sql.
+ */
+function fakeDatabase() {
+    var database = {sql: [], paras: [], table: null};
+
+    database.handler = function(sql, paras) {
+        database.sql.push(sql);
+        database.paras.push(paras);
+
+        if (/fail/.test(sql))
+            return new Error("syntax error at or near \"fail\"");
+
+        if (/^SELECT to_regclass/.test(sql))
+            return [{found: database.table!=null}];
+
+        if (/^CREATE TABLE "schema_migrations"/.test(sql))
+            database.table = [];
+
+        if (/^SELECT version, name, checksum/.test(sql))
+            return database.table.slice();
+
+        if (/^INSERT INTO "schema_migrations"/.test(sql))
+            database.table.push({version: paras[0], name: paras[1], checksum: paras[2], applied_at: "now"});
+
+        if (/^DELETE FROM "schema_migrations"/.test(sql)) {
+            database.table = database.table.filter(function(row) {
+                return row.version != paras[0];
+            });
+        }
+
+        return [];
+    };
+
+    database.pool = Postgresjs.Pool.forConfig(config);
+    database.pool.connectClient = function(cb) {
+        cb(null, new FakeClient(database.handler), function() {});
+    };
+
+    //statements without the advisory lock and the migrations table
+    database.migrations = function() {
+        return database.sql.filter(function(sql) {
+            return !/advisory|to_regclass|schema_migrations/.test(sql);
+        });
+    };
+
+    return database;
+}
+
+function writeFiles(directory, files) {
+    for (let name in files) {
+        if (files.hasOwnProperty(name))
+            fs.writeFileSync(path.join(directory, name), files[name]);
+    }
+}
+
+describe("Migrator", function() {
+
+    var directory;
+    var database;
+    var migrator;
+
+    beforeEach(function() {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), "postgresjs-migrations-"));
+        database = fakeDatabase();
+        migrator = new Postgresjs.Migrator({directory: directory, config: config});
+    });
+
+    afterEach(function() {
+        for (let name of fs.readdirSync(directory)) {
+            fs.unlinkSync(path.join(directory, name));
+        }
+        fs.rmdirSync(directory);
+    });
+
+    after(function() {
+        return database.pool.end();
+    });
+
+    it("requires a directory", function() {
+        assert.throws(function() {
+            new Postgresjs.Migrator({});
+        }, function(err) {
+            return err.code == Postgresjs.DatabaseError.VALIDATION;
+        });
+    });
+
+    it("reads the files in order of version", function() {
+        writeFiles(directory, {
+            "10_add_index.up.sql": "CREATE INDEX users_name ON users (name);",
+            "10_add_index.down.sql": "DROP INDEX users_name;",
+            "2_create_users.sql": "CREATE TABLE users (id int);",
+            "001_create_schema.up.sql": "CREATE SCHEMA app;",
+            "readme.md": "not a migration",
+            "3_notes.txt": "not a migration"
+        });
+
+        return migrator.status().then(function(list) {
+            assert.deepStrictEqual(list.map(function(file) {
+                return [file.version, file.name, file.applied, file.down];
+            }), [
+                ["001", "create_schema", false, false],
+                ["2", "create_users", false, false],
+                ["10", "add_index", false, true]
+            ]);
+        });
+    });
+
+    it("rejects a version used by more than one migration", function() {
+        writeFiles(directory, {
+            "1_create_users.sql": "CREATE TABLE users (id int);",
+            "1_create_posts.sql": "CREATE TABLE posts (id int);"
+        });
+
+        return migrator.up().then(function() {
+            assert.fail("expected an error");
+        }, function(err) {
+            assert.strictEqual(err.code, Postgresjs.DatabaseError.MIGRATION);
+            assert.ok(/Version 1 /.test(err.message), err.message);
+            assert.deepStrictEqual(database.sql, []);
+        });
+    });
+
+    it("applies the pending migrations in transactions while holding the lock", function() {
+        writeFiles(directory, {
+            "1_create_users.sql": "CREATE TABLE users (id int);",
+            "2_create_posts.up.sql": "CREATE TABLE posts (id int, body text DEFAULT '?');"
+        });
+
+        return migrator.up().then(function(applied) {
+            assert.deepStrictEqual(applied, [
+                {version: "1", name: "create_users"},
+                {version: "2", name: "create_posts"}
+            ]);
+
+            var sql = database.sql;
+            assert.ok(/^SELECT pg_advisory_lock\(\$1\);$/.test(sql[0]), sql[0]);
+            assert.ok(/^CREATE TABLE "schema_migrations"/.test(sql[2]), sql[2]);
+            assert.ok(/^SELECT pg_advisory_unlock\(\$1\);$/.test(sql[sql.length - 1]));
+
+            assert.deepStrictEqual(database.migrations(), [
+                "START TRANSACTION;", "CREATE TABLE users (id int);", "COMMIT;",
+                "START TRANSACTION;", "CREATE TABLE posts (id int, body text DEFAULT '?');", "COMMIT;"
+            ]);
+            assert.deepStrictEqual(database.table.map(function(row) {
+                return row.version;
+            }), ["1", "2"]);
+
+            //applied migrations are skipped
+            database.sql = [];
+            return migrator.up();
+        }).then(function(applied) {
+            assert.deepStrictEqual(applied, []);
+            assert.deepStrictEqual(database.migrations(), []);
+        });
+    });
+
+    it("applies the migrations up to a version", function() {
+        writeFiles(directory, {
+            "1_a.sql": "SELECT 1;",
+            "2_b.sql": "SELECT 2;",
+            "3_c.sql": "SELECT 3;"
+        });
+
+        return migrator.up({to: 2}).then(function(applied) {
+            assert.deepStrictEqual(applied.map(function(file) {
+                return file.version;
+            }), ["1", "2"]);
+        });
+    });
+
+    it("runs no-transaction files outside of a transaction", function() {
+        writeFiles(directory, {
+            "1_add_index.sql": "-- no-transaction\nCREATE INDEX CONCURRENTLY users_name ON users (name);",
+            "2_comment.sql": "SELECT 1; -- no-transaction"
+        });
+
+        return migrator.up().then(function() {
+            assert.deepStrictEqual(database.migrations(), [
+                "-- no-transaction\nCREATE INDEX CONCURRENTLY users_name ON users (name);",
+                "START TRANSACTION;", "SELECT 1; -- no-transaction", "COMMIT;"
+            ]);
+        });
+    });
+
+    it("rolls back a failed migration and keeps the ones applied before", function() {
+        writeFiles(directory, {
+            "1_a.sql": "SELECT 1;",
+            "2_b.sql": "SELECT fail;",
+            "3_c.sql": "SELECT 3;"
+        });
+
+        return migrator.up().then(function() {
+            assert.fail("expected an error");
+        }, function(err) {
+            assert.ok(/syntax error/.test(err.message));
+            assert.deepStrictEqual(database.migrations(), [
+                "START TRANSACTION;", "SELECT 1;", "COMMIT;",
+                "START TRANSACTION;", "SELECT fail;", "ROLLBACK;"
+            ]);
+            assert.deepStrictEqual(database.table.map(function(row) {
+                return row.version;
+            }), ["1"]);
+            assert.ok(/pg_advisory_unlock/.test(database.sql[database.sql.length - 1]));
+        });
+    });
+
+    it("stops when an applied migration was changed", function() {
+        writeFiles(directory, {"1_a.sql": "SELECT 1;"});
+
+        return migrator.up().then(function() {
+            writeFiles(directory, {
+                "1_a.sql": "SELECT 10;",
+                "2_b.sql": "SELECT 2;"
+            });
+            database.sql = [];
+            return migrator.up();
+        }).then(function() {
+            assert.fail("expected an error");
+        }, function(err) {
+            assert.strictEqual(err.code, Postgresjs.DatabaseError.MIGRATION);
+            assert.ok(/1_a was changed/.test(err.message), err.message);
+            assert.deepStrictEqual(database.migrations(), []);
+            assert.ok(/pg_advisory_unlock/.test(database.sql[database.sql.length - 1]));
+        });
+    });
+
+    it("returns the pending migrations on a dry run", function() {
+        writeFiles(directory, {
+            "1_a.sql": "SELECT 1;",
+            "2_b.up.sql": "SELECT 2;",
+            "2_b.down.sql": "SELECT -2;"
+        });
+
+        return migrator.up({dryRun: true}).then(function(pending) {
+            assert.deepStrictEqual(pending, [
+                {version: "1", name: "a", sql: "SELECT 1;"},
+                {version: "2", name: "b", sql: "SELECT 2;"}
+            ]);
+
+            //without the lock, and without creating the table
+            assert.deepStrictEqual(database.sql.map(function(sql) {
+                return sql.split(" ")[1];
+            }), ["to_regclass($1)"]);
+            assert.strictEqual(database.table, null);
+        });
+    });
+
+    it("reverts the latest migrations", function() {
+        writeFiles(directory, {
+            "1_a.up.sql": "SELECT 1;",
+            "1_a.down.sql": "SELECT -1;",
+            "2_b.up.sql": "SELECT 2;",
+            "2_b.down.sql": "SELECT -2;",
+            "3_c.up.sql": "SELECT 3;",
+            "3_c.down.sql": "SELECT -3;"
+        });
+
+        return migrator.up().then(function() {
+            database.sql = [];
+            return migrator.down({steps: 2});
+        }).then(function(reverted) {
+            assert.deepStrictEqual(reverted, [
+                {version: "3", name: "c"},
+                {version: "2", name: "b"}
+            ]);
+            assert.deepStrictEqual(database.migrations(), [
+                "START TRANSACTION;", "SELECT -3;", "COMMIT;",
+                "START TRANSACTION;", "SELECT -2;", "COMMIT;"
+            ]);
+            assert.ok(/pg_advisory_lock/.test(database.sql[0]));
+            assert.deepStrictEqual(database.table.map(function(row) {
+                return row.version;
+            }), ["1"]);
+
+            return migrator.down();
+        }).then(function(reverted) {
+            assert.deepStrictEqual(reverted, [{version: "1", name: "a"}]);
+            assert.deepStrictEqual(database.table, []);
+        });
+    });
+
+    it("reverts every migration after a version", function() {
+        writeFiles(directory, {
+            "1_a.up.sql": "SELECT 1;",
+            "1_a.down.sql": "SELECT -1;",
+            "2_b.up.sql": "SELECT 2;",
+            "2_b.down.sql": "SELECT -2;"
+        });
+
+        return migrator.up().then(function() {
+            return migrator.down({to: "0", dryRun: true});
+        }).then(function(reverting) {
+            assert.deepStrictEqual(reverting, [
+                {version: "2", name: "b", sql: "SELECT -2;"},
+                {version: "1", name: "a", sql: "SELECT -1;"}
+            ]);
+            assert.strictEqual(database.table.length, 2);
+        });
+    });
+
+    it("fails to revert a migration without a down file", function() {
+        writeFiles(directory, {
+            "1_a.up.sql": "SELECT 1;",
+            "1_a.down.sql": "SELECT -1;",
+            "2_b.sql": "SELECT 2;"
+        });
+
+        return migrator.up().then(function() {
+            return migrator.down({steps: 2});
+        }).then(function() {
+            assert.fail("expected an error");
+        }, function(err) {
+            assert.strictEqual(err.code, Postgresjs.DatabaseError.MIGRATION);
+            assert.ok(/2 has no down file/.test(err.message), err.message);
+            assert.strictEqual(database.table.length, 2);
+        });
+    });
+
+    it("reports changed and missing migrations in the status", function() {
+        writeFiles(directory, {
+            "1_a.sql": "SELECT 1;",
+            "2_b.sql": "SELECT 2;"
+        });
+
+        return migrator.up().then(function() {
+            fs.unlinkSync(path.join(directory, "2_b.sql"));
+            writeFiles(directory, {
+                "1_a.sql": "SELECT 10;",
+                "3_c.sql": "SELECT 3;"
+            });
+            database.sql = [];
+            return migrator.status();
+        }).then(function(list) {
+            assert.deepStrictEqual(list.map(function(file) {
+                return [file.version, file.applied, file.modified, file.missing, file.appliedAt];
+            }), [
+                ["1", true, true, false, "now"],
+                ["2", true, false, true, "now"],
+                ["3", false, false, false, null]
+            ]);
+            assert.ok(!database.sql.some(function(sql) {
+                return /advisory/.test(sql);
+            }));
+        });
+    });
+
+    it("locks with a key of the migrations table", function() {
+        writeFiles(directory, {"1_a.sql": "SELECT 1;"});
+
+        var other = new Postgresjs.Migrator({directory: directory, config: config,
+            table: "app.schema_migrations"});
+        var keys = [];
+
+        return migrator.up().then(function() {
+            keys.push(database.paras[0][0]);
+            database.sql = [];
+            database.paras = [];
+            return migrator.up();
+        }).then(function() {
+            keys.push(database.paras[0][0]);
+            database.paras = [];
+            return other.up();
+        }).then(function() {
+            keys.push(database.paras[0][0]);
+
+            assert.ok(Number.isInteger(keys[0]));
+            assert.strictEqual(keys[0], keys[1]);
+            assert.notStrictEqual(keys[0], keys[2]);
+        });
+    });
+
+    it("resumes with the callback handlers", function(done) {
+        writeFiles(directory, {"1_a.sql": "SELECT 1;"});
+
+        migrator.up(function(err, applied) {
+            assert.ifError(err);
+            assert.deepStrictEqual(applied, [{version: "1", name: "a"}]);
+
+            migrator.throwErrors = false;
+            migrator.down(function(err) {
+                assert.strictEqual(err.code, Postgresjs.DatabaseError.MIGRATION);
+                assert.strictEqual(migrator.error(), err);
+                done();
+            });
+        });
+    });
+});
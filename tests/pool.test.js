@@ -0,0 +1,136 @@
+"use strict";
+
+var assert = require("assert");
+var suspend = require("suspend");
+var Postgresjs = require("../Postgresjs");
+var FakeClient = require("./fakeClient").FakeClient;
+
+var config = {host: "127.0.0.1", database: "test", username: "test", password: "test"};
+
+Postgresjs.logLevel = "silent";
+
+//a pg pool that never hands out a client
+function stalledPool(pool, endError) {
+    pool.pgPool = {
+        connect: function() {},
+        end: function(cb) {
+            setImmediate(function() {
+                cb(endError || null);
+            });
+        }
+    };
+    return pool;
+}
+
+describe("Pool", function() {
+
+    describe("forConfig", function() {
+
+        it("shares a pool for the same connection and pool options", function() {
+            var a = Postgresjs.Pool.forConfig(Object.assign({}, config, {max: 5}));
+            var b = Postgresjs.Pool.forConfig(Object.assign({}, config, {max: 5}));
+            assert.strictEqual(a, b);
+            return a.end();
+        });
+
+        it("keeps pools with different options apart", function() {
+            var a = Postgresjs.Pool.forConfig(Object.assign({}, config, {max: 5}));
+            var b = Postgresjs.Pool.forConfig(Object.assign({}, config, {max: 20}));
+            assert.notStrictEqual(a, b);
+            assert.strictEqual(b.pgPool.options.max, 20);
+            return Promise.all([a.end(), b.end()]);
+        });
+    });
+
+    describe("connectClient", function() {
+
+        it("gives up after 30000 ms by default", function(done) {
+            var setTimeout = global.setTimeout;
+            var delay = null;
+            global.setTimeout = function(fn, ms) {
+                delay = ms;
+                return setTimeout(fn, 0);
+            };
+
+            var pool = stalledPool(new Postgresjs.Pool(config));
+            pool.connectClient(function(err) {
+                global.setTimeout = setTimeout;
+                assert.strictEqual(delay, 30000);
+                assert.strictEqual(err.code, Postgresjs.DatabaseError.ACQUIRE_TIMEOUT);
+                assert.strictEqual(pool.stats.waiting, 0);
+                done();
+            });
+        });
+    });
+
+    describe("start", function() {
+
+        //hands out fake clients, counting them
+        function countingPool(config) {
+            var pool = Postgresjs.Pool.forConfig(config);
+            pool.handedOut = 0;
+            pool.connectClient = function(cb) {
+                pool.handedOut++;
+                cb(null, new FakeClient(), function() {});
+            };
+            return pool;
+        }
+
+        it("uses the pool of the current config", function() {
+            var a = countingPool(Object.assign({}, config, {database: "first"}));
+            var b = countingPool(Object.assign({}, config, {database: "second"}));
+
+            var db = new Postgresjs(null, a.config);
+            return db.start().then(function() {
+                assert.ok(a.acquired.has(db.guid));
+                return db.end();
+            }).then(function() {
+                assert.ok(!a.acquired.has(db.guid));
+                db.setLocalConfig(b.config);
+                return db.start();
+            }).then(function() {
+                assert.strictEqual(a.handedOut, 1);
+                assert.strictEqual(b.handedOut, 1);
+                assert.strictEqual(db.pool, null);
+                return db.end();
+            }).then(function() {
+                return Promise.all([a.end(), b.end()]);
+            });
+        });
+    });
+
+    describe("end", function() {
+
+        it("calls back", function(done) {
+            stalledPool(new Postgresjs.Pool(config)).end(function(err) {
+                assert.ifError(err);
+                done();
+            });
+        });
+
+        it("resumes", function(done) {
+            suspend.run(function*() {
+                var pool = stalledPool(new Postgresjs.Pool(config));
+                pool.setResume(suspend.resume);
+                yield pool.end();
+            }, done);
+        });
+
+        it("rejects with errors", function() {
+            var pool = stalledPool(new Postgresjs.Pool(config), new Error("Called end on pool more than once"));
+            return pool.end().then(function() {
+                assert.fail("resolved");
+            }, function(err) {
+                assert.ok(err instanceof Postgresjs.DatabaseError);
+            });
+        });
+
+        it("resolves when throwErrors is disabled", function() {
+            var pool = stalledPool(new Postgresjs.Pool(config), new Error("Called end on pool more than once"));
+            pool.throwErrors = false;
+            return pool.end().then(function() {
+                assert.ok(pool.error() instanceof Postgresjs.DatabaseError);
+            });
+        });
+    });
+});
@@ -0,0 +1,315 @@
+"use strict";
+
+var assert = require("assert");
+var Postgresjs = require("../Postgresjs");
+var fakeDb = require("./fakeClient").fakeDb;
+
+Postgresjs.config = {host: "127.0.0.1", database: "test", username: "test", password: "test"};
+Postgresjs.logLevel = "silent";
+
+//runs the query on a FakeClient and returns what was sent
+function sent(sql, paras) {
+    var db = fakeDb(Postgresjs, null);
+    return db.query(sql, paras).then(function() {
+        return db.client.queries[0];
+    });
+}
+
+describe("sql", function() {
+
+    describe("parameters", function() {
+
+        it("numbers question marks in order", function() {
+            return sent("select * from users where a=? and b=?", [1, 2]).then(function(query) {
+                assert.strictEqual(query.sql, "select * from users where a=$1 and b=$2");
+                assert.deepStrictEqual(query.paras, [1, 2]);
+            });
+        });
+
+        it("keeps numbered parameters", function() {
+            return sent("select * from users where a=$2 and b=$1", [1, 2]).then(function(query) {
+                assert.strictEqual(query.sql, "select * from users where a=$2 and b=$1");
+            });
+        });
+
+        it("returns an error when the number of values does not match", function() {
+            return sent("select * from users where a=? and b=?", [1]).then(function() {
+                assert.fail("resolved");
+            }, function(err) {
+                assert.ok(err.isValidationError());
+                assert.ok(/2 parameters but 1 values/.test(err.message));
+            });
+        });
+
+        it("unescapes ?? operators", function() {
+            return sent("select data ?? 'key', data ??| ? from docs where id=?", [["a"], 1]).then(function(query) {
+                assert.strictEqual(query.sql, "select data ? 'key', data ?| $1 from docs where id=$2");
+            });
+        });
+
+        it("binds named parameters once per name", function() {
+            return sent("select * from users where email=:email or backup=:email or id=$id",
+                {email: "a@b.c", id: 3}).then(function(query) {
+                assert.strictEqual(query.sql, "select * from users where email=$1 or backup=$1 or id=$2");
+                assert.deepStrictEqual(query.paras, ["a@b.c", 3]);
+            });
+        });
+
+        it("leaves question marks as operators with named parameters", function() {
+            return sent("select * from docs where data ? :key", {key: "a"}).then(function(query) {
+                assert.strictEqual(query.sql, "select * from docs where data ? $1");
+            });
+        });
+
+        it("returns an error for missing names", function() {
+            return sent("select * from users where id=:id and name=:name", {id: 1}).then(function() {
+                assert.fail("resolved");
+            }, function(err) {
+                assert.ok(err.isValidationError());
+                assert.ok(/name/.test(err.message));
+            });
+        });
+
+        it("skips type casts", function() {
+            return sent("select :id::int, created::date from users where a=?::text",
+                {id: 1}).then(function(query) {
+                assert.strictEqual(query.sql, "select $1::int, created::date from users where a=?::text");
+            });
+        });
+
+        it("skips array slices", function() {
+            return sent("select arr[1:2], arr[lo :hi], arr[:n], arr[a[1]:b] from t where id=:id",
+                {id: 1}).then(function(query) {
+                assert.strictEqual(query.sql, "select arr[1:2], arr[lo :hi], arr[:n], arr[a[1]:b] from t where id=$1");
+                assert.deepStrictEqual(query.paras, [1]);
+            });
+        });
+
+        it("skips quoted strings and identifiers", function() {
+            return sent("select '?', 'it''s :x', E'\\' ?', \"a?b\", \":c\" from t where id=?", [1]).then(function(query) {
+                assert.strictEqual(query.sql, "select '?', 'it''s :x', E'\\' ?', \"a?b\", \":c\" from t where id=$1");
+            });
+        });
+
+        it("skips comments", function() {
+            return sent("select 1 -- what?\nfrom t /* a? /* :nested */ b? */ where id=?", [1]).then(function(query) {
+                assert.strictEqual(query.sql, "select 1 -- what?\nfrom t /* a? /* :nested */ b? */ where id=$1");
+            });
+        });
+
+        it("skips dollar-quoted strings", function() {
+            return sent("select $$ ? :x $$, $body$ it's ? $body$ from t where id=:id", {id: 1}).then(function(query) {
+                assert.strictEqual(query.sql, "select $$ ? :x $$, $body$ it's ? $body$ from t where id=$1");
+            });
+        });
+    });
+
+    describe("whereHelper", function() {
+
+        var db = fakeDb(Postgresjs, null);
+
+        it("quotes columns and binds values", function() {
+            var where = db.whereHelper({
+                "name -like": "%Smith",
+                "age >=": 18,
+                "deleted_at": null,
+                "$or": [
+                    {"role -in": ["admin", "owner"]},
+                    {"score -between": [50, 100]}
+                ]
+            });
+            assert.strictEqual(where.sql, "\"name\" LIKE ? AND \"age\" >= ? AND \"deleted_at\" IS NULL AND " +
+                "((\"role\" = ANY(?)) OR (\"score\" BETWEEN ? AND ?))");
+            assert.deepStrictEqual(where.paras, ["%Smith", 18, ["admin", "owner"], 50, 100]);
+        });
+
+        it("skips undefined values", function() {
+            var where = db.whereHelper({id: 1, name: undefined});
+            assert.strictEqual(where.sql, "\"id\" = ?");
+            assert.deepStrictEqual(where.paras, [1]);
+        });
+    });
+
+    describe("selectHelper joins", function() {
+
+        var db = fakeDb(Postgresjs, null);
+
+        it("joins on matching columns", function() {
+            var select = db.buildSelect({
+                table: "users",
+                alias: "u",
+                columns: ["u.id", "o.total"],
+                joins: [{table: "orders", alias: "o", on: {"o.user_id": "u.id"}}]
+            });
+            assert.strictEqual(select.sql, "SELECT \"u\".\"id\",\"o\".\"total\" FROM \"users\" \"u\" " +
+                "INNER JOIN \"orders\" \"o\" ON \"o\".\"user_id\" = \"u\".\"id\"");
+        });
+
+        it("supports every join type and on form", function() {
+            var select = db.buildSelect({
+                table: "users",
+                alias: "u",
+                columns: ["u.id"],
+                joins: [
+                    {type: "left", table: "payments", alias: "p", on: "p.user_id=u.id AND p.status=?",
+                        onParas: ["paid"]},
+                    {type: "right", table: "refunds", alias: "r", on: db.whereHelper({"r.amount >": 5})},
+                    {type: "full", table: "notes", on: {"notes.user_id": "u.id", "notes.kind": "p.kind"}}
+                ],
+                where: "u.id=?",
+                whereParas: [7]
+            });
+            assert.strictEqual(select.sql, "SELECT \"u\".\"id\" FROM \"users\" \"u\" " +
+                "LEFT JOIN \"payments\" \"p\" ON p.user_id=u.id AND p.status=? " +
+                "RIGHT JOIN \"refunds\" \"r\" ON \"r\".\"amount\" > ? " +
+                "FULL JOIN \"notes\" ON \"notes\".\"user_id\" = \"u\".\"id\" AND \"notes\".\"kind\" = \"p\".\"kind\" " +
+                "WHERE u.id=?");
+            assert.deepStrictEqual(select.paras, ["paid", 5, 7]);
+        });
+
+        it("numbers the parameters of joins before the where clause", function() {
+            var db = fakeDb(Postgresjs, null);
+            return db.selectHelper({
+                table: "users",
+                alias: "u",
+                columns: ["u.id"],
+                joins: [{table: "orders", alias: "o", on: "o.user_id=u.id AND o.total > ?", onParas: [10]}],
+                where: db.whereHelper({"u.active": true})
+            }).then(function() {
+                assert.strictEqual(db.client.queries[0].sql, "SELECT \"u\".\"id\" FROM \"users\" \"u\" " +
+                    "INNER JOIN \"orders\" \"o\" ON o.user_id=u.id AND o.total > $1 WHERE \"u\".\"active\" = $2 ;");
+                assert.deepStrictEqual(db.client.queries[0].paras, [10, true]);
+            });
+        });
+
+        it("throws validation errors for invalid joins", function() {
+            assert.throws(function() {
+                db.buildSelect({table: "users", joins: [{type: "cross", table: "orders", on: {a: "b"}}]});
+            }, /Invalid join type/);
+            assert.throws(function() {
+                db.buildSelect({table: "users", joins: [{table: "orders"}]});
+            }, /Join on option is required/);
+        });
+    });
+
+    describe("selectHelper aggregates", function() {
+
+        var db = fakeDb(Postgresjs, null);
+
+        it("builds aggregate and aliased columns", function() {
+            var select = db.buildSelect({
+                table: "orders",
+                columns: [
+                    {count: "*", as: "total"},
+                    {sum: "amount"},
+                    {count: "user_id", distinct: true, as: "buyers"},
+                    {avg: "amount", as: "avg"},
+                    {min: "created"},
+                    {max: "created"},
+                    {column: "status", as: "s"}
+                ],
+                groupBy: ["status"]
+            });
+            assert.strictEqual(select.sql, "SELECT COUNT(*) AS \"total\",SUM(\"amount\"),COUNT(DISTINCT \"user_id\") " +
+                "AS \"buyers\",AVG(\"amount\") AS \"avg\",MIN(\"created\"),MAX(\"created\"),\"status\" AS \"s\" " +
+                "FROM \"orders\" GROUP BY \"status\"");
+        });
+
+        it("selects distinct rows", function() {
+            assert.strictEqual(db.buildSelect({table: "orders", distinct: true, columns: ["status"]}).sql,
+                "SELECT DISTINCT \"status\" FROM \"orders\"");
+            assert.strictEqual(db.buildSelect({table: "orders", distinctOn: ["user_id"], columns: ["user_id", "created"],
+                orderBy: "user_id, created DESC"}).sql,
+                "SELECT DISTINCT ON (\"user_id\") \"user_id\",\"created\" FROM \"orders\" ORDER BY user_id, created DESC");
+        });
+
+        it("filters groups with having", function() {
+            var select = db.buildSelect({
+                table: "orders",
+                columns: ["status", {count: "*"}],
+                groupBy: "status",
+                having: db.whereHelper({"count(*) >": 5})
+            });
+            assert.strictEqual(select.sql, "SELECT \"status\",COUNT(*) FROM \"orders\" GROUP BY \"status\" " +
+                "HAVING COUNT(*) > ?");
+            assert.deepStrictEqual(select.paras, [5]);
+        });
+
+        it("numbers the having parameters after the where clause", function() {
+            var db = fakeDb(Postgresjs, null);
+            return db.selectHelper({
+                table: "orders",
+                columns: [{sum: "amount", as: "total"}],
+                where: "created > ?",
+                whereParas: ["2024-01-01"],
+                groupBy: ["user_id"],
+                having: "sum(amount) > ?",
+                havingParas: [100]
+            }).then(function() {
+                assert.strictEqual(db.client.queries[0].sql, "SELECT SUM(\"amount\") AS \"total\" FROM \"orders\" " +
+                    "WHERE created > $1 GROUP BY \"user_id\" HAVING sum(amount) > $2 ;");
+                assert.deepStrictEqual(db.client.queries[0].paras, ["2024-01-01", 100]);
+            });
+        });
+
+        it("throws validation errors for invalid columns", function() {
+            assert.throws(function() {
+                db.buildSelect({table: "orders", columns: [{median: "amount"}]});
+            }, /Invalid column/);
+            assert.throws(function() {
+                db.buildSelect({table: "orders", columns: ["status"], groupBy: ["bad column"]});
+            }, /Invalid identifier/);
+        });
+    });
+
+    describe("buildSelect", function() {
+
+        var db = fakeDb(Postgresjs, null);
+
+        it("builds a select statement", function() {
+            var select = db.buildSelect({
+                table: "users",
+                columns: ["id", "username"],
+                where: db.whereHelper({"age >": 18}),
+                orderBy: "id",
+                limit: 5
+            });
+            assert.strictEqual(select.sql, "SELECT \"id\",\"username\" FROM \"users\" WHERE \"age\" > ? " +
+                "ORDER BY id LIMIT 5 OFFSET 0");
+            assert.deepStrictEqual(select.paras, [18]);
+        });
+
+        it("numbers the parameters of subqueries in order", function() {
+            var select = db.buildSelect({
+                with: {
+                    recent: db.buildSelect({
+                        table: "orders",
+                        columns: ["user_id"],
+                        where: db.whereHelper({"total >": 5})
+                    })
+                },
+                table: "users",
+                columns: ["username"],
+                where: db.whereHelper({
+                    "id -in": db.buildSelect({table: "recent", columns: ["user_id"], where: db.whereHelper({x: 1})}),
+                    "age": 3
+                })
+            });
+            assert.deepStrictEqual(select.paras, [5, 1, 3]);
+
+            return db.query(select.sql, select.paras).then(function() {
+                assert.strictEqual(db.client.queries[0].sql, "WITH \"recent\" AS (SELECT \"user_id\" FROM \"orders\" " +
+                    "WHERE \"total\" > $1) SELECT \"username\" FROM \"users\" WHERE \"id\" IN " +
+                    "(SELECT \"user_id\" FROM \"recent\" WHERE \"x\" = $2) AND \"age\" = $3");
+            });
+        });
+
+        it("throws validation errors", function() {
+            assert.throws(function() {
+                db.buildSelect({columns: ["id"]});
+            }, function(err) {
+                return err.isValidationError();
+            });
+        });
+    });
+});
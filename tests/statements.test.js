@@ -0,0 +1,95 @@
+"use strict";
+
+var assert = require("assert");
+var Postgresjs = require("../Postgresjs");
+var fakeDb = require("./fakeClient").fakeDb;
+
+var config = {host: "127.0.0.1", database: "test", username: "test", password: "test"};
+
+Postgresjs.config = config;
+Postgresjs.logLevel = "silent";
+
+//names of the prepared statements sent, by sql
+function names(db) {
+    return db.client.queries.filter(function(query) {
+        return query.name!=null;
+    }).map(function(query) {
+        return query.name;
+    });
+}
+
+describe("prepared statements", function() {
+
+    before(function() {
+        Postgresjs.config = Object.assign({}, config, {prepareStatements: true, statementCacheSize: 2});
+    });
+
+    after(function() {
+        Postgresjs.config = config;
+    });
+
+    it("prepares the queries of the application", function() {
+        var db = fakeDb(Postgresjs, null);
+        return db.query("select 1;").then(function() {
+            return db.selectHelper({table: "users", columns: ["id"]});
+        }).then(function() {
+            assert.strictEqual(names(db).length, 2);
+        });
+    });
+
+    it("does not prepare transaction and cursor statements", function() {
+        var db = fakeDb(Postgresjs, null);
+        return db.transaction(function(tx) {
+            return tx.cursorForEach("select id from users", null, function(i, row, next) {
+                next();
+            });
+        }).then(function() {
+            assert.deepStrictEqual(names(db), []);
+            assert.ok(db.client.sql.indexOf("START TRANSACTION;") != -1);
+        });
+    });
+
+    it("prepares a statement again under a new name after it was deallocated", function() {
+        var db = fakeDb(Postgresjs, null);
+        return db.query("select 1;", null, {name: "one"}).then(function() {
+            return db.query("select 2;", null, {name: "two"});
+        }).then(function() {
+            return db.query("select 3;", null, {name: "three"});
+        }).then(function() {
+            return db.query("select 1;", null, {name: "one"});
+        }).then(function() {
+            var sent = names(db);
+            assert.deepStrictEqual(sent.slice(0, 3), ["one_1", "two_2", "three_3"]);
+            assert.notStrictEqual(sent[3], "one_1");
+            assert.ok(db.client.sql.indexOf("DEALLOCATE \"one_1\";") != -1);
+        });
+    });
+
+    it("reuses the name of a cached statement", function() {
+        var db = fakeDb(Postgresjs, null);
+        return db.query("select 1;", null, {name: "one"}).then(function() {
+            return db.query("select 1;", null, {name: "one"});
+        }).then(function() {
+            assert.deepStrictEqual(names(db), ["one_1", "one_1"]);
+        });
+    });
+
+    it("prepares a stale statement again", function() {
+        var stale = true;
+        var db = fakeDb(Postgresjs, null, function(sql) {
+            if (/^select \* from users/.test(sql) && stale) {
+                stale = false;
+                var err = new Error("cached plan must not change result type");
+                err.code = "0A000";
+                return err;
+            }
+            return [{id: 1}];
+        });
+
+        return db.query("select * from users;", null, {name: "users"}).then(function(rows) {
+            assert.deepStrictEqual(rows, [{id: 1}]);
+            assert.deepStrictEqual(names(db), ["users_1", "users_2"]);
+            assert.ok(db.client.sql.indexOf("DEALLOCATE \"users_1\";") != -1);
+        });
+    });
+});
@@ -0,0 +1,311 @@
+"use strict";
+
+var assert = require("assert");
+var suspend = require("suspend");
+var Postgresjs = require("../Postgresjs");
+var fakeDb = require("./fakeClient").fakeDb;
+
+Postgresjs.config = {host: "127.0.0.1", database: "test", username: "test", password: "test"};
+Postgresjs.logLevel = "silent";
+
+function pgError(code) {
+    var err = new Error(code == "40P01" ? "deadlock detected" : "could not serialize access");
+    err.code = code;
+    return err;
+}
+
+function handler(sql) {
+    if (/fail/.test(sql))
+        return new Error("relation \"fail\" does not exist");
+    return [{id: 1}];
+}
+
+describe("transaction", function() {
+
+    it("commits when the function completes", function() {
+        var db = fakeDb(Postgresjs, null, handler);
+        return db.transaction(async function(db) {
+            assert.ok(db.inTransaction);
+            await db.query("update users set name=? where id=?;", ["a", 1]);
+            return "done";
+        }).then(function(result) {
+            assert.strictEqual(result, "done");
+            assert.deepStrictEqual(db.client.sql, ["START TRANSACTION;",
+                "update users set name=$1 where id=$2;", "COMMIT;"]);
+            assert.strictEqual(db.transactionDepth, 0);
+        });
+    });
+
+    it("rolls back when the function returns an error", function(done) {
+        var db = fakeDb(Postgresjs, null, handler);
+        db.transaction(function(db, next) {
+            db.query("select * from fail;", null, next);
+        }, function(err) {
+            assert.ok(err instanceof Postgresjs.DatabaseError);
+            assert.deepStrictEqual(db.client.sql, ["START TRANSACTION;", "select * from fail;", "ROLLBACK;"]);
+            assert.strictEqual(db.transactionDepth, 0);
+            done();
+        });
+    });
+
+    it("rolls back when the function throws", function() {
+        var db = fakeDb(Postgresjs, null, handler);
+        return db.transaction(function() {
+            throw new Error("bad input");
+        }).then(function() {
+            assert.fail("resolved");
+        }, function(err) {
+            assert.strictEqual(err.message, "bad input");
+            assert.deepStrictEqual(db.client.sql, ["START TRANSACTION;", "ROLLBACK;"]);
+        });
+    });
+
+    it("rolls back when a generator throws", function(done) {
+        suspend.run(function*() {
+            var db = fakeDb(Postgresjs, suspend.resume, handler);
+            try {
+                yield db.transaction(function*(db) {
+                    yield db.query("select id from users;");
+                    throw new Error("bad input");
+                });
+            } catch (err) {
+                assert.strictEqual(err.message, "bad input");
+            }
+            assert.deepStrictEqual(db.client.sql, ["START TRANSACTION;", "select id from users;", "ROLLBACK;"]);
+        }, done);
+    });
+
+    it("uses savepoints for nested calls", function() {
+        var db = fakeDb(Postgresjs, null, handler);
+        var depths = [];
+        return db.transaction(async function(db) {
+            depths.push(db.transactionDepth);
+            await db.transaction(async function(db) {
+                depths.push(db.transactionDepth);
+                await db.transaction(async function(db) {
+                    depths.push(db.transactionDepth);
+                });
+            });
+            depths.push(db.transactionDepth);
+        }).then(function() {
+            assert.deepStrictEqual(depths, [1, 2, 3, 1]);
+            assert.deepStrictEqual(db.client.sql, ["START TRANSACTION;",
+                "SAVEPOINT postgresjs_sp_1;", "SAVEPOINT postgresjs_sp_2;",
+                "RELEASE SAVEPOINT postgresjs_sp_2;", "RELEASE SAVEPOINT postgresjs_sp_1;", "COMMIT;"]);
+            assert.strictEqual(db.transactionDepth, 0);
+        });
+    });
+
+    it("only rolls back the nested call that failed", function() {
+        var db = fakeDb(Postgresjs, null, handler);
+        return db.transaction(async function(db) {
+            await db.transaction(async function(db) {
+                await db.query("insert into fail values (1);");
+            }).then(function() {
+                assert.fail("resolved");
+            }, function(err) {
+                assert.ok(err instanceof Postgresjs.DatabaseError);
+            });
+            assert.strictEqual(db.transactionDepth, 1);
+            await db.query("insert into users values (1);");
+        }).then(function() {
+            assert.deepStrictEqual(db.client.sql, ["START TRANSACTION;", "SAVEPOINT postgresjs_sp_1;",
+                "insert into fail values (1);", "ROLLBACK TO SAVEPOINT postgresjs_sp_1;",
+                "insert into users values (1);", "COMMIT;"]);
+        });
+    });
+
+    it("returns an error when COMMIT rolled back the transaction", function() {
+        var db = fakeDb(Postgresjs, null, function(sql) {
+            if (sql == "COMMIT;")
+                return {command: "ROLLBACK", rows: [], rowCount: 0};
+            return [];
+        });
+        return db.transaction(async function(db) {
+            await db.query("select 1;");
+        }).then(function() {
+            assert.fail("resolved");
+        }, function(err) {
+            assert.strictEqual(err.code, Postgresjs.DatabaseError.TRANSACTION_ROLLED_BACK);
+            assert.strictEqual(db.transactionDepth, 0);
+        });
+    });
+
+    it("applies the options to the outer transaction", function() {
+        var db = fakeDb(Postgresjs, null, handler);
+        return db.transaction({isolationLevel: "serializable", readOnly: true, settings: {lock_timeout: "2s"}},
+            async function(db) {
+                await db.transaction({isolationLevel: "read committed"}, async function() {});
+            }).then(function() {
+                assert.deepStrictEqual(db.client.sql, ["START TRANSACTION ISOLATION LEVEL SERIALIZABLE, READ ONLY;",
+                    "SELECT set_config($1,$2,true);", "SAVEPOINT postgresjs_sp_1;",
+                    "RELEASE SAVEPOINT postgresjs_sp_1;", "COMMIT;"]);
+                assert.deepStrictEqual(db.client.queries[1].paras, ["lock_timeout", "2s"]);
+            });
+    });
+
+    it("rolls back an open transaction on end", function() {
+        var db = fakeDb(Postgresjs, null, handler);
+        var client = db.client;
+        var released = null;
+        db.fnDone = function(err) {
+            released = err || true;
+        };
+        return db.begin().then(function() {
+            assert.strictEqual(db.transactionDepth, 1);
+            return db.end();
+        }).then(function() {
+            assert.deepStrictEqual(client.sql, ["START TRANSACTION;", "ROLLBACK;"]);
+            assert.strictEqual(released, true);
+            assert.strictEqual(db.transactionDepth, 0);
+        });
+    });
+
+    describe("retry", function() {
+
+        var random = Math.random;
+
+        afterEach(function() {
+            Math.random = random;
+        });
+
+        it("runs the transaction again after a serialization failure", function() {
+            var runs = 0;
+            var db = fakeDb(Postgresjs, null, function(sql) {
+                if (/^update/.test(sql) && runs < 2)
+                    return pgError("40001");
+                return [];
+            });
+
+            return db.transaction({retry: {baseDelay: 1}}, async function(db) {
+                runs++;
+                await db.query("update accounts set balance=balance-1 where id=1;");
+                return runs;
+            }).then(function(result) {
+                assert.strictEqual(result, 2);
+                assert.deepStrictEqual(db.client.sql, ["START TRANSACTION;",
+                    "update accounts set balance=balance-1 where id=1;", "ROLLBACK;", "START TRANSACTION;",
+                    "update accounts set balance=balance-1 where id=1;", "COMMIT;"]);
+            });
+        });
+
+        it("retries deadlocks and failures at COMMIT", function() {
+            var failures = ["40P01", "40001"];
+            var db = fakeDb(Postgresjs, null, function(sql) {
+                if (sql == "COMMIT;" && failures.length > 0)
+                    return pgError(failures.shift());
+                return [];
+            });
+            var retried = [];
+
+            return db.transaction({retry: {baseDelay: 1, onRetry: function(err, attempt) {
+                retried.push([err.code, attempt]);
+            }}}, async function() {}).then(function() {
+                assert.deepStrictEqual(retried, [["40P01", 1], ["40001", 2]]);
+                assert.strictEqual(db.transactionDepth, 0);
+            });
+        });
+
+        it("backs off exponentially up to maxDelay", function() {
+            var db = fakeDb(Postgresjs, null, function(sql) {
+                return sql == "COMMIT;" ? pgError("40001") : [];
+            });
+            var delays = [];
+
+            Math.random = function() {
+                return 1;
+            };
+
+            return db.transaction({retry: {maxAttempts: 4, baseDelay: 4, maxDelay: 6,
+                onRetry: function(err, attempt, delay) {
+                    delays.push(delay);
+                }}}, async function() {}).then(function() {
+                assert.fail("resolved");
+            }, function(err) {
+                assert.deepStrictEqual(delays, [4, 6, 6]);
+                assert.strictEqual(err.attempts, 4);
+                assert.ok(err.isSerializationFailure());
+            });
+        });
+
+        it("waits at least half of the delay", function() {
+            var db = fakeDb(Postgresjs, null, function(sql) {
+                return sql == "COMMIT;" ? pgError("40001") : [];
+            });
+            var delays = [];
+
+            Math.random = function() {
+                return 0;
+            };
+
+            return db.transaction({retry: {maxAttempts: 3, baseDelay: 4,
+                onRetry: function(err, attempt, delay) {
+                    delays.push(delay);
+                }}}, async function() {}).then(function() {
+                assert.fail("resolved");
+            }, function(err) {
+                assert.deepStrictEqual(delays, [2, 4]);
+                assert.strictEqual(err.attempts, 3);
+            });
+        });
+
+        it("only retries the codes of retryOn", function() {
+            var db = fakeDb(Postgresjs, null, function(sql) {
+                return sql == "COMMIT;" ? pgError("40001") : [];
+            });
+
+            return db.transaction({retry: {baseDelay: 1, retryOn: ["40P01"]}}, async function() {})
+                .then(function() {
+                    assert.fail("resolved");
+                }, function(err) {
+                    assert.strictEqual(err.attempts, 1);
+                    assert.deepStrictEqual(db.client.sql, ["START TRANSACTION;", "COMMIT;"]);
+                });
+        });
+
+        it("does not retry without the retry option", function() {
+            var db = fakeDb(Postgresjs, null, function(sql) {
+                return sql == "COMMIT;" ? pgError("40001") : [];
+            });
+
+            return db.transaction(async function() {}).then(function() {
+                assert.fail("resolved");
+            }, function(err) {
+                assert.ok(err.isSerializationFailure());
+                assert.strictEqual(err.attempts, undefined);
+                assert.strictEqual(db.client.queries.length, 2);
+            });
+        });
+
+        it("never retries nested calls", function() {
+            var db = fakeDb(Postgresjs, null, function(sql) {
+                return /^update/.test(sql) ? pgError("40001") : [];
+            });
+            var inner = 0;
+
+            return db.transaction(async function(db) {
+                await db.transaction({retry: {baseDelay: 1}}, async function(db) {
+                    inner++;
+                    await db.query("update accounts set balance=0;");
+                });
+            }).then(function() {
+                assert.fail("resolved");
+            }, function(err) {
+                assert.ok(err.isSerializationFailure());
+                assert.strictEqual(inner, 1);
+                assert.deepStrictEqual(db.client.sql, ["START TRANSACTION;", "SAVEPOINT postgresjs_sp_1;",
+                    "update accounts set balance=0;", "ROLLBACK TO SAVEPOINT postgresjs_sp_1;", "ROLLBACK;"]);
+            });
+        });
+
+        it("returns an error for invalid retry options", function() {
+            var db = fakeDb(Postgresjs, null, handler);
+            db.throwErrors = false;
+            return db.transaction({retry: {maxAttempts: 0}}, async function() {
+                assert.fail("transaction body ran");
+            }).then(function() {
+                assert.ok(db.error().isValidationError());
+            });
+        });
+    });
+});
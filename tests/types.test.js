@@ -0,0 +1,91 @@
+"use strict";
+
+var assert = require("assert");
+var Postgresjs = require("../Postgresjs");
+var fakeDb = require("./fakeClient").fakeDb;
+
+var config = {host: "127.0.0.1", database: "test", username: "test", password: "test"};
+
+Postgresjs.config = config;
+Postgresjs.logLevel = "silent";
+
+//answers the type catalog with types, and other queries with the value parsed like pg parses a row
+function handler(types, oid, value) {
+    return function(sql, paras, parsers) {
+        if (/FROM pg_type/.test(sql))
+            return types;
+        return [{value: parsers.getTypeParser(oid, "text")(value)}];
+    };
+}
+
+describe("types", function() {
+
+    var warnings;
+
+    beforeEach(function() {
+        warnings = [];
+        Postgresjs.logger = Object.assign({}, Postgresjs.silentLogger, {
+            warn: function(message) {
+                warnings.push(message);
+            }
+        });
+        Postgresjs.logLevel = "warn";
+    });
+
+    afterEach(function() {
+        Postgresjs.config = config;
+        Postgresjs.logger = null;
+        Postgresjs.logLevel = "silent";
+    });
+
+    it("parses bigint values that fit as numbers", function() {
+        var db = fakeDb(Postgresjs, null, handler([], 20, "9007199254740991"));
+        db.setTypes({bigint: "number"});
+        return db.query("select id from users;").then(function(rows) {
+            assert.deepStrictEqual(rows, [{value: 9007199254740991}]);
+        });
+    });
+
+    it("returns an error for bigint values out of range", function() {
+        var db = fakeDb(Postgresjs, null, handler([], 20, "9007199254740993"));
+        db.setTypes({bigint: "number"});
+        return db.query("select id from users;").then(function() {
+            assert.fail("resolved");
+        }, function(err) {
+            assert.strictEqual(err.code, Postgresjs.DatabaseError.TYPE_OVERFLOW);
+            assert.strictEqual(err.sql, "select id from users;");
+            assert.ok(/9007199254740993/.test(err.message));
+        });
+    });
+
+    it("returns an error for numeric values out of range", function() {
+        var db = fakeDb(Postgresjs, null, handler([], 1700, "1" + "0".repeat(400)));
+        db.setTypes({numeric: "number"});
+        return db.query("select total from orders;").then(function() {
+            assert.fail("resolved");
+        }, function(err) {
+            assert.strictEqual(err.code, Postgresjs.DatabaseError.TYPE_OVERFLOW);
+        });
+    });
+
+    it("warns about parsers of unknown types", function() {
+        var db = fakeDb(Postgresjs, null, handler([], 25, "a"));
+        db.setTypes({parsers: {"missing_type": String}});
+        return db.query("select name from users;").then(function(rows) {
+            assert.deepStrictEqual(rows, [{value: "a"}]);
+            assert.strictEqual(warnings.length, 1);
+            assert.ok(/missing_type/.test(warnings[0]));
+        });
+    });
+
+    it("warns about parsers by name when the types can not be loaded", function() {
+        Postgresjs.config = Object.assign({}, config, {database: "types_failing"});
+        var db = fakeDb(Postgresjs, null, handler(new Error("permission denied"), 25, "a"));
+        db.setTypes({parsers: {"citext": String}});
+        return db.query("select name from users;").then(function(rows) {
+            assert.deepStrictEqual(rows, [{value: "a"}]);
+            assert.ok(/Unable to load types/.test(warnings[0]));
+            assert.ok(/citext/.test(warnings[1]));
+        });
+    });
+});